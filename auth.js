@@ -0,0 +1,163 @@
+// Admin Authentication Helpers (password hashing and signed session tokens)
+require("dotenv").config();
+const crypto = require("crypto");
+
+const TOKEN_TTL_HOURS = parseInt(process.env.ADMIN_TOKEN_TTL_HOURS) || 12;
+const MIN_PASSWORD_LENGTH = 10;
+
+let tokenSecret = process.env.ADMIN_TOKEN_SECRET || null;
+
+// What each admin role may do. Owners can do everything.
+const ROLE_PERMISSIONS = {
+  owner: ["*"],
+  editor: [
+    "products:create",
+    "products:update",
+    "products:translate",
+    "products:import",
+    "products:export",
+    "categories:manage",
+    "collections:manage",
+    "static-products:toggle",
+    "orders:read"
+  ],
+  translator: ["products:translate"],
+  fulfilment: ["orders:read", "orders:update", "orders:ship"]
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Accounts created before roles existed (no role at all) had full access, so they
+// count as owners. An unknown role gets no permissions (null).
+function getRole(user) {
+  if (!user) {
+    return null;
+  }
+  if (user.role === undefined || user.role === null) {
+    return "owner";
+  }
+  return ROLE_PERMISSIONS[user.role] ? user.role : null;
+}
+
+function getPermissions(user) {
+  return ROLE_PERMISSIONS[getRole(user)] || [];
+}
+
+function hasPermission(user, permission) {
+  const permissions = getPermissions(user);
+  return permissions.includes("*") || permissions.includes(permission);
+}
+
+// Tokens must be signed with a configured secret in production. In development
+// a random per-process secret is used, so tokens stop working after a restart.
+function getTokenSecret() {
+  if (!tokenSecret) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("ADMIN_TOKEN_SECRET environment variable is not set");
+    }
+    console.warn("⚠️ ADMIN_TOKEN_SECRET not set - using a temporary secret, admin sessions end on restart");
+    tokenSecret = crypto.randomBytes(32).toString("hex");
+  }
+  return tokenSecret;
+}
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+// Stored as "scrypt$<salt>$<hash>" (hex)
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  if (!stored || typeof password !== "string") {
+    return false;
+  }
+  const [scheme, saltHex, hashHex] = stored.split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) {
+    return false;
+  }
+  const expected = Buffer.from(hashHex, "hex");
+  const key = await scrypt(password, Buffer.from(saltHex, "hex"));
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+// Checked instead of a real hash when a login names an unknown or disabled account,
+// so the response time doesn't tell which admin emails exist
+const DUMMY_PASSWORD_HASH = `scrypt$${"0".repeat(32)}$${"0".repeat(128)}`;
+
+// Returns a problem with a new password, or null when it's acceptable
+function checkPasswordStrength(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function sign(value) {
+  return crypto.createHmac("sha256", getTokenSecret()).update(value).digest("base64url");
+}
+
+// Token = base64url(JSON payload) + "." + HMAC signature. The payload names the
+// session, which is checked against the database so it can be revoked.
+function signToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${body}.${sign(body)}`;
+}
+
+// Returns the payload of a valid, unexpired token, or null
+function verifyToken(token) {
+  if (typeof token !== "string") {
+    return null;
+  }
+  const [body, signature] = token.split(".");
+  if (!body || !signature) {
+    return null;
+  }
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (!payload.exp || payload.exp * 1000 <= Date.now()) {
+      return null;
+    }
+    return payload;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Random opaque value (session ids, password reset tokens)
+function generateSecret(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+// One-way hash for secrets stored in the database (reset tokens)
+function hashSecret(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+module.exports = {
+  TOKEN_TTL_HOURS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  getRole,
+  getPermissions,
+  hasPermission,
+  getTokenSecret,
+  DUMMY_PASSWORD_HASH,
+  hashPassword,
+  verifyPassword,
+  checkPasswordStrength,
+  signToken,
+  verifyToken,
+  generateSecret,
+  hashSecret
+};
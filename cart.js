@@ -0,0 +1,141 @@
+// Cart Pricing
+//
+// Carts from the storefront are [{ id, variantId?, quantity }]. Prices, names and
+// stock always come from the stored products, never from the client.
+const { getProductById, isProductPublic } = require("./db");
+const { getLocalizedName } = require("./languages");
+
+const CHECKOUT_CURRENCY = "eur";
+const MAX_LINE_QUANTITY = 99;
+
+// Parse a price from a form field or JSON body (returns undefined when not provided)
+function parsePrice(value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const price = Number(value);
+  if (!Number.isFinite(price) || price < 0) {
+    return NaN;
+  }
+  return Math.round(price * 100) / 100;
+}
+
+// Units available for sale, or null when the product isn't stock-tracked
+function getAvailableStock(product, variantId) {
+  const variants = Array.isArray(product.variants) ? product.variants : [];
+  if (variantId) {
+    const variant = variants.find(v => String(v.id) === String(variantId));
+    if (variant && typeof variant.stock === "number") {
+      return variant.stock;
+    }
+  } else {
+    const tracked = variants.filter(v => typeof v.stock === "number");
+    if (tracked.length > 0) {
+      return tracked.reduce((sum, v) => sum + v.stock, 0);
+    }
+  }
+  return typeof product.stock === "number" ? product.stock : null;
+}
+
+// Variant label for carts and Stripe: its name, else its option values in axis order ("M / Red")
+function describeVariant(product, variant) {
+  if (variant.name) {
+    return variant.name;
+  }
+  const values = (product.options || [])
+    .map(option => (variant.options || {})[option.name])
+    .filter(Boolean);
+  return values.length > 0 ? values.join(" / ") : (variant.sku || variant.id);
+}
+
+// Resolve cart lines against stored products; prices and names never come from the client
+async function priceCart(cart, lang) {
+  const lines = [];
+  const errors = [];
+
+  for (let index = 0; index < cart.length; index++) {
+    const item = cart[index] || {};
+    const id = item.id !== undefined ? item.id : item.productId;
+    const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+
+    if (id === undefined || id === null || id === "") {
+      errors.push({ index, id: null, error: "Product id is required" });
+      continue;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_LINE_QUANTITY) {
+      errors.push({ index, id: String(id), error: `Quantity must be a whole number between 1 and ${MAX_LINE_QUANTITY}` });
+      continue;
+    }
+
+    const product = await getProductById(String(id));
+    if (!product) {
+      errors.push({ index, id: String(id), error: "Unknown product" });
+      continue;
+    }
+    // Only products that are live on the storefront right now can be bought
+    if (!isProductPublic(product)) {
+      errors.push({ index, id: product.id, error: "Product is not available" });
+      continue;
+    }
+
+    const variants = Array.isArray(product.variants) ? product.variants : [];
+    const variantId = item.variantId !== undefined && item.variantId !== null ? String(item.variantId) : null;
+    const variant = variantId ? variants.find(v => String(v.id) === variantId) : null;
+    if (variantId && !variant) {
+      errors.push({ index, id: product.id, error: `Unknown variant ${variantId}` });
+      continue;
+    }
+    if (!variantId && variants.length > 0) {
+      errors.push({ index, id: product.id, error: "A variant must be selected" });
+      continue;
+    }
+
+    // A variant's own price overrides the product price
+    const price = parsePrice(variant && variant.price !== undefined && variant.price !== null ? variant.price : product.price);
+    if (price === undefined || Number.isNaN(price) || price <= 0) {
+      errors.push({ index, id: product.id, error: "Product has no valid price" });
+      continue;
+    }
+    if (product.currency && product.currency !== CHECKOUT_CURRENCY) {
+      errors.push({ index, id: product.id, error: `Product is priced in ${product.currency.toUpperCase()}, checkout is in ${CHECKOUT_CURRENCY.toUpperCase()}` });
+      continue;
+    }
+
+    const baseName = getLocalizedName(product, lang);
+    const name = variant ? `${baseName} (${describeVariant(product, variant)})` : baseName;
+
+    const available = getAvailableStock(product, variantId);
+    if (available !== null && available < quantity) {
+      errors.push({
+        index,
+        id: product.id,
+        error: available > 0 ? `Only ${available} of ${name} left in stock` : `${name} is out of stock`
+      });
+      continue;
+    }
+
+    lines.push({
+      productId: product.id,
+      variantId,
+      ...(variant && variant.sku && { sku: variant.sku }),
+      ...(variant && variant.options && { options: variant.options }),
+      name,
+      unitAmount: Math.round(price * 100),
+      quantity,
+      categories: product.categories || [],
+      weight: product.weight || null,
+      dimensions: product.dimensions || null
+    });
+  }
+
+  return { lines, errors };
+}
+
+module.exports = {
+  CHECKOUT_CURRENCY,
+  MAX_LINE_QUANTITY,
+  parsePrice,
+  getAvailableStock,
+  describeVariant,
+  priceCart
+};
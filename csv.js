@@ -0,0 +1,80 @@
+// Minimal CSV Reader / Writer (RFC 4180: comma separated, "quoted" fields, "" escapes)
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted fields
+// with commas and line breaks, CRLF line endings and a UTF-8 BOM. Blank lines are skipped.
+function parseCsv(text) {
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) {
+    throw new Error("Unterminated quoted field");
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.length > 1 || r[0] !== "");
+}
+
+// Parse CSV with a header row into objects keyed by column name
+function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+  const columns = header.map(name => name.trim());
+  return rows.map(row => Object.fromEntries(columns.map((name, i) => [name, row[i] === undefined ? "" : row[i]])));
+}
+
+function escapeCsvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write objects as CSV with the given columns (header row first, CRLF line endings)
+function toCsv(records, columns) {
+  const lines = [columns.map(escapeCsvField).join(",")];
+  for (const record of records) {
+    lines.push(columns.map(column => escapeCsvField(record[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsv
+};
@@ -1,11 +1,30 @@
 // MongoDB Database Connection and Helper Functions
 require("dotenv").config();
 const { MongoClient } = require("mongodb");
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require("./languages");
+const { slugify } = require("./text");
+const { getImageFileUrls } = require("./images");
 
 const MONGODB_URI = process.env.MONGODB_URI || "";
 const DB_NAME = process.env.MONGODB_DB_NAME || "epolux";
 const PRODUCTS_COLLECTION = "products";
 const STATIC_PRODUCTS_COLLECTION = "staticProducts";
+const ORDERS_COLLECTION = "orders";
+const STRIPE_EVENTS_COLLECTION = "stripeEvents";
+const RESERVATIONS_COLLECTION = "stockReservations";
+const ADMIN_USERS_COLLECTION = "adminUsers";
+const ADMIN_SESSIONS_COLLECTION = "adminSessions";
+const PASSWORD_RESETS_COLLECTION = "adminPasswordResets";
+const AUDIT_COLLECTION = "auditLog";
+const PRODUCT_REVISIONS_COLLECTION = "productRevisions";
+const COUNTERS_COLLECTION = "counters";
+const CATEGORIES_COLLECTION = "categories";
+const PRODUCT_COLLECTIONS_COLLECTION = "productCollections";
+const TRANSLATION_CACHE_COLLECTION = "translationCache";
+const PROMOTIONS_COLLECTION = "promotions";
+const SHIPPING_QUOTES_COLLECTION = "shippingQuotes";
+const RATE_LIMITS_COLLECTION = "rateLimits";
+const PROMOTION_REDEMPTIONS_COLLECTION = "promotionRedemptions";
 
 let client = null;
 let db = null;
@@ -38,6 +57,7 @@ async function connectDB(retries = 2) {
       
       // Test the connection
       await db.admin().ping();
+      await ensureIndexes(db);
       
       console.log("✅ Connected to MongoDB successfully");
       console.log("📊 Database:", DB_NAME);
@@ -64,6 +84,112 @@ async function connectDB(retries = 2) {
   }
 }
 
+// Create the indexes the app relies on (safe to run on every connect)
+async function ensureIndexes(database) {
+  try {
+    const orders = database.collection(ORDERS_COLLECTION);
+    await orders.createIndex({ stripeSessionId: 1 }, { unique: true, sparse: true });
+    await orders.createIndex({ paymentIntentId: 1 }, { sparse: true });
+    await orders.createIndex({ status: 1, createdAt: -1 });
+
+    await database.collection(RESERVATIONS_COLLECTION).createIndex({ status: 1, expiresAt: 1 });
+
+    await database.collection(ADMIN_USERS_COLLECTION).createIndex({ email: 1 }, { unique: true });
+    // Expired sessions and reset tokens are removed by Mongo's TTL monitor
+    await database.collection(ADMIN_SESSIONS_COLLECTION).createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await database.collection(ADMIN_SESSIONS_COLLECTION).createIndex({ userId: 1 });
+    await database.collection(PASSWORD_RESETS_COLLECTION).createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    const audit = database.collection(AUDIT_COLLECTION);
+    await audit.createIndex({ at: -1 });
+    await audit.createIndex({ "actor.id": 1, at: -1 });
+    await audit.createIndex({ targetType: 1, targetId: 1, at: -1 });
+
+    const revisions = database.collection(PRODUCT_REVISIONS_COLLECTION);
+    await revisions.createIndex({ productId: 1, createdAt: -1 });
+    await revisions.createIndex({ "snapshot.images": 1 });
+    await revisions.createIndex({ "snapshot.images.url": 1 });
+    await revisions.createIndex({ "snapshot.images.variants.url": 1 });
+
+    const products = database.collection(PRODUCTS_COLLECTION);
+    await products.createIndex({ deletedAt: 1, status: 1, createdAt: -1 });
+    await products.createIndex({ deletedAt: 1, price: 1 });
+    await products.createIndex({ categories: 1 });
+    await products.createIndex({ "images.url": 1 });
+    await products.createIndex({ "images.variants.url": 1 });
+    await products.createIndex({ "specs.label": 1, "specs.value": 1 });
+    for (const lang of SUPPORTED_LANGUAGES) {
+      await products.createIndex({ [`translations.${lang}.name`]: 1 });
+    }
+    await products.createIndex({ "slugHistory.slug": 1 });
+    await products.createIndex({ "variants.sku": 1 });
+
+    const categories = database.collection(CATEGORIES_COLLECTION);
+    await categories.createIndex({ slug: 1 }, { unique: true });
+    await categories.createIndex({ parentId: 1, position: 1 });
+    await categories.createIndex({ ancestors: 1 });
+
+    const productCollections = database.collection(PRODUCT_COLLECTIONS_COLLECTION);
+    await productCollections.createIndex({ slug: 1 }, { unique: true });
+    await productCollections.createIndex({ productIds: 1 });
+
+    const translationCache = database.collection(TRANSLATION_CACHE_COLLECTION);
+    await translationCache.createIndex({ key: 1 }, { unique: true });
+    await translationCache.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    await database.collection(PROMOTIONS_COLLECTION).createIndex({ code: 1 }, { unique: true });
+
+    const shippingQuotes = database.collection(SHIPPING_QUOTES_COLLECTION);
+    await shippingQuotes.createIndex({ "rates.id": 1 });
+    await shippingQuotes.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    const redemptions = database.collection(PROMOTION_REDEMPTIONS_COLLECTION);
+    await redemptions.createIndex({ reservationId: 1 }, { unique: true });
+    await redemptions.createIndex({ promotionId: 1, createdAt: -1 });
+    await redemptions.createIndex({ status: 1, stripeCouponId: 1, couponDeletedAt: 1 });
+
+    const rateLimits = database.collection(RATE_LIMITS_COLLECTION);
+    await rateLimits.createIndex({ key: 1, windowStart: 1 }, { unique: true });
+    await rateLimits.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  } catch (err) {
+    console.error("⚠️ Failed to create indexes:", err.message);
+  }
+
+  // Unique product keys fail to build while duplicates exist (npm run migrate:product-ids fixes them)
+  try {
+    await ensureProductKeyIndexes(database);
+  } catch (err) {
+    console.error("⚠️ Failed to create unique product indexes:", err.message);
+  }
+}
+
+async function ensureProductKeyIndexes(database) {
+  const products = database.collection(PRODUCTS_COLLECTION);
+  await seedProductIdCounter(database);
+  await products.createIndex({ id: 1 }, { unique: true, partialFilterExpression: { id: { $exists: true } } });
+  for (const lang of SUPPORTED_LANGUAGES) {
+    const field = `slugs.${lang}`;
+    await products.createIndex({ [field]: 1 }, { unique: true, partialFilterExpression: { [field]: { $type: "string" } } });
+  }
+}
+
+// Range filter on an ISO date string field. A bare date as `to` means "up to the end of that day".
+function buildDateRange(from, to) {
+  const range = {};
+  if (from) {
+    range.$gte = new Date(from).toISOString();
+  }
+  if (to) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      const end = new Date(to);
+      end.setUTCDate(end.getUTCDate() + 1);
+      range.$lt = end.toISOString();
+    } else {
+      range.$lte = new Date(to).toISOString();
+    }
+  }
+  return range;
+}
+
 // Get database instance (connects if needed)
 async function getDB() {
   if (!db) {
@@ -73,7 +199,8 @@ async function getDB() {
 }
 
 // Products Collection Operations
-async function getProducts() {
+// `publicOnly` limits the result to products the storefront may show
+async function getProducts({ publicOnly = false } = {}) {
   try {
     const database = await getDB();
     if (!database) {
@@ -81,7 +208,8 @@ async function getProducts() {
       return [];
     }
     const collection = database.collection(PRODUCTS_COLLECTION);
-    const products = await collection.find({}).toArray();
+    // Trashed products are only listed through the trash routes
+    const products = await collection.find(publicOnly ? buildPublicProductFilter() : { deletedAt: null }).toArray();
     return products.map(p => {
       // Ensure id is always a string for consistency
       let productId;
@@ -105,100 +233,449 @@ async function getProducts() {
   }
 }
 
-async function getProductById(id) {
+// Every product that isn't trashed, ordered by id (unlike getProducts, errors are thrown)
+async function getProductsForExport() {
+  const database = await getDB();
+  const products = await database.collection(PRODUCTS_COLLECTION)
+    .find({ deletedAt: null })
+    .sort({ id: 1, _id: 1 })
+    .toArray();
+  return products.map(p => formatProduct(p));
+}
+
+// Listing sorts: [field, direction]; name sorts use the requested language
+const PRODUCT_SORTS = {
+  newest: ["createdAt", -1],
+  oldest: ["createdAt", 1],
+  price_asc: ["price", 1],
+  price_desc: ["price", -1],
+  name_asc: ["name", 1],
+  name_desc: ["name", -1]
+};
+
+// Publication lifecycle: draft → scheduled → published → archived.
+// publishAt / unpublishAt are ISO strings evaluated at read time, so a
+// scheduled product goes live (and a published one expires) on its own.
+const PRODUCT_STATUSES = ["draft", "scheduled", "published", "archived"];
+
+// Status a product effectively has right now. Products without a status
+// predate the lifecycle and count as published.
+function getEffectiveStatus(product, now = new Date()) {
+  const iso = now.toISOString();
+  const status = product.status || "published";
+  if (status !== "published" && status !== "scheduled") {
+    return PRODUCT_STATUSES.includes(status) ? status : "draft";
+  }
+  if (product.unpublishAt && product.unpublishAt <= iso) {
+    return "archived";
+  }
+  if (status === "scheduled" && !product.publishAt) {
+    return "scheduled";
+  }
+  return product.publishAt && product.publishAt > iso ? "scheduled" : "published";
+}
+
+function isProductPublic(product, now = new Date()) {
+  return !product.deletedAt && getEffectiveStatus(product, now) === "published";
+}
+
+// Mongo equivalent of isProductPublic
+function buildPublicProductFilter(now = new Date()) {
+  const iso = now.toISOString();
+  return {
+    deletedAt: null,
+    $or: [
+      { status: { $in: [null, "published"] }, publishAt: { $not: { $gt: iso } } },
+      { status: "scheduled", publishAt: { $lte: iso } }
+    ],
+    unpublishAt: { $not: { $lte: iso } }
+  };
+}
+
+// buildPublicProductFilter as an aggregation expression, for pipeline updates.
+// Trashed products aren't checked here.
+function buildPublicProductExpr(now = new Date()) {
+  const iso = now.toISOString();
+  return {
+    $and: [
+      {
+        $or: [
+          {
+            $and: [
+              { $eq: [{ $ifNull: ["$status", "published"] }, "published"] },
+              { $lte: [{ $ifNull: ["$publishAt", ""] }, iso] }
+            ]
+          },
+          {
+            $and: [
+              { $eq: ["$status", "scheduled"] },
+              { $ne: [{ $ifNull: ["$publishAt", null] }, null] },
+              { $lte: ["$publishAt", iso] }
+            ]
+          }
+        ]
+      },
+      { $gt: [{ $ifNull: ["$unpublishAt", "9999"] }, iso] }
+    ]
+  };
+}
+
+// Mongo filter for products whose effective status (see getEffectiveStatus) is `status`
+function buildStatusFilter(status, now = new Date()) {
+  const iso = now.toISOString();
+  const live = { status: { $in: [null, "published", "scheduled"] } };
+  switch (status) {
+    case "published":
+      return buildPublicProductFilter(now);
+    case "scheduled":
+      return {
+        ...live,
+        unpublishAt: { $not: { $lte: iso } },
+        $or: [{ publishAt: { $gt: iso } }, { status: "scheduled", publishAt: null }]
+      };
+    case "archived":
+      return { $or: [{ status: "archived" }, { ...live, unpublishAt: { $lte: iso } }] };
+    default:
+      return { status: { $nin: [null, "published", "scheduled", "archived"] } };
+  }
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify({ v: value === undefined ? null : value, id: id.toString() })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { ObjectId } = require("mongodb");
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return ObjectId.isValid(id) ? { value: v, _id: new ObjectId(id) } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Keyset filter for "everything after the cursor" in (field, _id) order. Mongo
+// sorts missing values first ascending and last descending, so nulls get their
+// own branches.
+function buildCursorFilter(field, direction, cursor) {
+  const after = direction === 1 ? "$gt" : "$lt";
+  if (cursor.value === null) {
+    const sameNull = { [field]: null, _id: { [after]: cursor._id } };
+    return direction === 1 ? { $or: [sameNull, { [field]: { $ne: null } }] } : sameNull;
+  }
+  const branches = [
+    { [field]: { [after]: cursor.value } },
+    { [field]: cursor.value, _id: { [after]: cursor._id } }
+  ];
+  if (direction === -1) {
+    branches.push({ [field]: null });
+  }
+  return { $or: branches };
+}
+
+// Filtered, sorted and paginated product listing.
+// Options: visibility ("public" | "unpublished" | "all" | a PRODUCT_STATUSES value),
+// category (id or slug, includes subcategories), specs ({ label: value }),
+// minPrice, maxPrice, sort (a PRODUCT_SORTS key), lang, page, limit, cursor.
+// Pass either page or cursor; cursor pagination is stable while products are added.
+async function queryProducts(options = {}) {
   try {
     const database = await getDB();
     const collection = database.collection(PRODUCTS_COLLECTION);
-    const { ObjectId } = require("mongodb");
-    
-    console.log(`🔍 Looking up product with ID: ${id} (type: ${typeof id})`);
-    
-    let product = null;
-    
-    // Try multiple lookup strategies
-    // 1. Try as numeric ID first (most common case)
-    const numericId = parseInt(id);
-    if (!isNaN(numericId)) {
-      product = await collection.findOne({ id: numericId });
-      if (product) {
-        console.log(`✅ Found product by numeric id: ${numericId}`);
-      }
+    const {
+      visibility = "public",
+      category,
+      specs = {},
+      minPrice,
+      maxPrice,
+      sort = "newest",
+      lang = DEFAULT_LANGUAGE,
+      page = 1,
+      limit = 50,
+      cursor
+    } = options;
+
+    const conditions = [];
+    if (visibility === "public") {
+      conditions.push(buildPublicProductFilter());
+    } else if (visibility === "unpublished") {
+      conditions.push({ deletedAt: null }, { $nor: [buildPublicProductFilter()] });
+    } else if (PRODUCT_STATUSES.includes(visibility)) {
+      conditions.push({ deletedAt: null }, buildStatusFilter(visibility));
+    } else {
+      conditions.push({ deletedAt: null });
     }
-    
-    // 2. Try as string ID
-    if (!product) {
-      product = await collection.findOne({ id: String(id) });
-      if (product) {
-        console.log(`✅ Found product by string id: ${String(id)}`);
+
+    if (category) {
+      // A category matches its whole subtree; unknown values still match the legacy `category` field
+      const categoryIds = (await getCategorySubtreeIds(category)) || [];
+      conditions.push({
+        $or: [
+          { categories: { $in: categoryIds } },
+          { category: { $in: [...categoryIds, String(category)] } }
+        ]
+      });
+    }
+    for (const [label, value] of Object.entries(specs)) {
+      conditions.push({ specs: { $elemMatch: { label, value } } });
+    }
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      const price = {};
+      if (minPrice !== undefined) {
+        price.$gte = minPrice;
+      }
+      if (maxPrice !== undefined) {
+        price.$lte = maxPrice;
       }
+      conditions.push({ price });
     }
-    
-    // 3. Try as MongoDB ObjectId (if it looks like one)
-    if (!product && ObjectId.isValid(id) && id.length === 24) {
-      try {
-        product = await collection.findOne({ _id: new ObjectId(id) });
-        if (product) {
-          console.log(`✅ Found product by ObjectId: ${id}`);
-        }
-      } catch (e) {
-        // Invalid ObjectId format, skip
+
+    const filter = conditions.length === 1 ? conditions[0] : { $and: conditions };
+
+    const [sortKey, direction] = PRODUCT_SORTS[sort] || PRODUCT_SORTS.newest;
+    const field = sortKey === "name" ? `translations.${lang}.name` : sortKey;
+
+    let pageFilter = filter;
+    let skip = 0;
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (!decoded) {
+        throw Object.assign(new Error("Invalid cursor"), { status: 400 });
       }
+      pageFilter = { $and: [filter, buildCursorFilter(field, direction, decoded)] };
+    } else {
+      skip = limit ? (page - 1) * limit : 0;
     }
-    
-    // Note: Removed slow fallback that fetches all products - too inefficient
-    
-    if (product) {
-      const result = {
-        ...product,
-        id: product.id ? String(product.id) : (product._id ? product._id.toString() : String(id)),
-        _id: undefined
-      };
-      console.log(`📦 Returning product with id: ${result.id}`);
-      return result;
+
+    // limit null returns every match
+    const [docs, total] = await Promise.all([
+      collection.find(pageFilter)
+        .sort({ [field]: direction, _id: direction })
+        .skip(skip)
+        .limit(limit ? limit + 1 : 0)
+        .toArray(),
+      collection.countDocuments(filter)
+    ]);
+
+    const hasMore = !!limit && docs.length > limit;
+    const pageDocs = hasMore ? docs.slice(0, limit) : docs;
+    const last = pageDocs[pageDocs.length - 1];
+    const lastValue = last ? field.split(".").reduce((obj, key) => (obj ? obj[key] : undefined), last) : null;
+
+    return {
+      products: pageDocs.map(p => formatProduct(p)),
+      total,
+      nextCursor: hasMore && last ? encodeCursor(lastValue, last._id) : null
+    };
+  } catch (err) {
+    console.error("Error querying products:", err.message || err);
+    throw err;
+  }
+}
+
+// Trashed products are treated as missing unless `includeDeleted` is set
+async function getProductById(id, { includeDeleted = false } = {}) {
+  try {
+    const database = await getDB();
+    const collection = database.collection(PRODUCTS_COLLECTION);
+    const notDeleted = includeDeleted ? {} : { deletedAt: null };
+
+    console.log(`🔍 Looking up product with ID: ${id}`);
+    const product = await collection.findOne({ ...buildProductQuery(id), ...notDeleted });
+    if (!product) {
+      console.error(`❌ Product not found with ID: ${id}`);
+      return null;
     }
-    
-    console.error(`❌ Product not found with ID: ${id}`);
-    return null;
+    return formatProduct(product, id);
   } catch (err) {
     console.error("Error getting product by ID:", err);
     return null;
   }
 }
 
+// Look a live product up by id or by a slug in any language. A slug the product
+// used before a rename returns { product, redirectLang } so the caller can redirect
+// to the current slug. Returns null when nothing matches.
+async function findProductByIdOrSlug(value) {
+  const database = await getDB();
+  const collection = database.collection(PRODUCTS_COLLECTION);
+  const byId = await collection.findOne({ ...buildProductQuery(value), deletedAt: null });
+  if (byId) {
+    return { product: formatProduct(byId, value), redirectLang: null };
+  }
+
+  const slug = String(value).toLowerCase();
+  const bySlug = await collection.findOne({
+    deletedAt: null,
+    $or: SUPPORTED_LANGUAGES.map(lang => ({ [`slugs.${lang}`]: slug }))
+  });
+  if (bySlug) {
+    return { product: formatProduct(bySlug), redirectLang: null };
+  }
+
+  const renamed = await collection.findOne({ deletedAt: null, "slugHistory.slug": slug });
+  if (renamed) {
+    const entry = renamed.slugHistory.find(h => h.slug === slug);
+    return { product: formatProduct(renamed), redirectLang: entry.lang };
+  }
+  return null;
+}
+
+// Product Ids and Slugs
+
+// Numeric ids come from an atomic counter. It's raised to the highest existing id
+// on every connect, so ids created before the counter (or imported) are never reused.
+async function seedProductIdCounter(database) {
+  const [last] = await database.collection(PRODUCTS_COLLECTION)
+    .find({ id: { $type: "number" } }, { projection: { id: 1 } })
+    .sort({ id: -1 })
+    .limit(1)
+    .toArray();
+  await raiseProductIdCounter(database, last ? last.id : 0);
+}
+
+async function raiseProductIdCounter(database, id) {
+  await database.collection(COUNTERS_COLLECTION).updateOne(
+    { _id: "productId" },
+    { $max: { seq: id } },
+    { upsert: true }
+  );
+}
+
+async function getNextProductId(database) {
+  const counter = await database.collection(COUNTERS_COLLECTION).findOneAndUpdate(
+    { _id: "productId" },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: "after" }
+  );
+  return counter.seq;
+}
+
+async function isSlugFree(collection, lang, slug, ownId) {
+  const taken = await collection.findOne(
+    { [`slugs.${lang}`]: slug, ...(ownId && { _id: { $ne: ownId } }) },
+    { projection: { _id: 1 } }
+  );
+  return !taken;
+}
+
+// Slugs for every language with a translated name. A language keeps its slug
+// while the name still produces it; otherwise the first free of base, base-2,
+// base-3, ... is used.
+async function buildSlugs(collection, product) {
+  const translations = product.translations || {};
+  const current = product.slugs || {};
+  const slugs = {};
+
+  for (const lang of SUPPORTED_LANGUAGES) {
+    const name = translations[lang] && translations[lang].name;
+    if (!name) {
+      continue;
+    }
+    const base = slugify(name) || `product-${product.id}`;
+    const kept = current[lang];
+    if (kept && (kept === base || new RegExp(`^${base}-\\d+$`).test(kept)) && await isSlugFree(collection, lang, kept, product._id)) {
+      slugs[lang] = kept;
+      continue;
+    }
+    for (let n = 1; ; n++) {
+      const candidate = n === 1 ? base : `${base}-${n}`;
+      if (await isSlugFree(collection, lang, candidate, product._id)) {
+        slugs[lang] = candidate;
+        break;
+      }
+    }
+  }
+  return slugs;
+}
+
+// Slugs that are no longer current go to slugHistory so old URLs keep redirecting
+function mergeSlugHistory(previousSlugs = {}, slugs, history = []) {
+  const merged = [...history];
+  for (const [lang, slug] of Object.entries(previousSlugs)) {
+    if (slugs[lang] !== slug && !merged.some(h => h.lang === lang && h.slug === slug)) {
+      merged.push({ lang, slug, retiredAt: new Date().toISOString() });
+    }
+  }
+  // A slug that's current again (renamed back) isn't history anymore
+  return merged.filter(h => slugs[h.lang] !== h.slug);
+}
+
+// Recompute a stored product's slugs after its names changed. Retries when another
+// product claims the same slug at the same moment. Returns { slugs, slugHistory }.
+async function syncProductSlugs(collection, product) {
+  for (let attempt = 1; ; attempt++) {
+    const slugs = await buildSlugs(collection, product);
+    const slugHistory = mergeSlugHistory(product.slugs, slugs, product.slugHistory);
+    try {
+      await collection.updateOne({ _id: product._id }, { $set: { slugs, slugHistory } });
+      return { slugs, slugHistory };
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= 3) {
+        throw err;
+      }
+    }
+  }
+}
+
 async function createProduct(product) {
   try {
     const database = await getDB();
     const collection = database.collection(PRODUCTS_COLLECTION);
-    
-    const existingProducts = await collection.find({}).toArray();
-    const maxId = existingProducts.length > 0 
-      ? Math.max(...existingProducts.map(p => p.id || 0))
-      : 0;
-    
-    const newProduct = {
-      id: maxId + 1,
-      ...product,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    const result = await collection.insertOne(newProduct);
-    return {
-      ...newProduct,
-      id: newProduct.id.toString(),
-      _id: result.insertedId.toString()
-    };
+
+    // Ids come from the counter unless the product brings its own (imports).
+    // A duplicate key means a slug was claimed concurrently, or an imported id
+    // overtook the counter; both are resolved by trying again.
+    for (let attempt = 1; ; attempt++) {
+      const newProduct = {
+        ...product,
+        id: product.id !== undefined ? product.id : await getNextProductId(database),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      newProduct.slugs = await buildSlugs(collection, newProduct);
+
+      try {
+        const result = await collection.insertOne(newProduct);
+        if (product.id !== undefined && typeof product.id === "number") {
+          await raiseProductIdCounter(database, product.id);
+        }
+        return {
+          ...newProduct,
+          id: newProduct.id.toString(),
+          _id: result.insertedId.toString()
+        };
+      } catch (err) {
+        // A given id that's taken is a real conflict
+        if (err.code !== 11000 || attempt >= 3 || (product.id !== undefined && err.keyPattern && err.keyPattern.id)) {
+          throw err;
+        }
+        delete newProduct._id;
+        if (err.keyPattern && err.keyPattern.id) {
+          await seedProductIdCounter(database);
+        }
+      }
+    }
   } catch (err) {
     console.error("Error creating product:", err);
     throw err;
   }
 }
 
-async function updateProduct(id, updates) {
+// Shape a stored product for API responses (string id, no Mongo _id)
+function formatProduct(product, fallbackId) {
+  return {
+    ...product,
+    id: product.id ? String(product.id) : (product._id ? product._id.toString() : String(fallbackId)),
+    _id: undefined
+  };
+}
+
+// `meta.actor` is recorded on the revision snapshot of the previous version
+async function updateProduct(id, updates, meta = {}) {
   try {
     const database = await getDB();
     const collection = database.collection(PRODUCTS_COLLECTION);
-    const { ObjectId } = require("mongodb");
     
     console.log(`🔄 Updating product with ID: ${id}`);
     
@@ -207,35 +684,25 @@ async function updateProduct(id, updates) {
       updatedAt: new Date().toISOString()
     };
     
-    let result = null;
-    let query = null;
-    
-    // Try multiple lookup strategies (same as getProductById)
-    const numericId = parseInt(id);
-    if (!isNaN(numericId)) {
-      query = { id: numericId };
-    } else if (ObjectId.isValid(id) && id.length === 24) {
-      try {
-        query = { _id: new ObjectId(id) };
-      } catch (e) {
-        query = { id: String(id) };
-      }
-    } else {
-      query = { id: String(id) };
-    }
-    
-    result = await collection.findOneAndUpdate(
-      query,
+    // Returning the document as it was before the update gives us the revision snapshot atomically.
+    // With meta.expectedUpdatedAt the update only applies if nobody changed the product since.
+    const previous = await collection.findOneAndUpdate(
+      {
+        ...buildProductQuery(id),
+        deletedAt: null,
+        ...(meta.expectedUpdatedAt !== undefined && { updatedAt: meta.expectedUpdatedAt })
+      },
       { $set: updateData },
-      { returnDocument: "after" }
+      { returnDocument: "before" }
     );
     
-    if (result && result.value) {
-      const updated = {
-        ...result.value,
-        id: result.value.id ? String(result.value.id) : (result.value._id ? result.value._id.toString() : String(id)),
-        _id: undefined
-      };
+    if (previous) {
+      await saveProductRevision(previous, meta.reason || "update", meta.actor);
+      const merged = { ...previous, ...updateData };
+      if (updates.translations) {
+        Object.assign(merged, await syncProductSlugs(collection, merged));
+      }
+      const updated = formatProduct(merged, id);
       console.log(`✅ Product updated with id: ${updated.id}`);
       return updated;
     }
@@ -248,35 +715,24 @@ async function updateProduct(id, updates) {
   }
 }
 
-async function deleteProduct(id) {
+// Moves the product to the trash; it's only removed for good by purgeProduct
+async function deleteProduct(id, meta = {}) {
   try {
     const database = await getDB();
     const collection = database.collection(PRODUCTS_COLLECTION);
-    const { ObjectId } = require("mongodb");
-    
-    console.log(`🗑️ Deleting product with ID: ${id}`);
-    
-    let result = null;
-    let query = null;
     
-    // Try multiple lookup strategies (same as getProductById)
-    const numericId = parseInt(id);
-    if (!isNaN(numericId)) {
-      query = { id: numericId };
-    } else if (ObjectId.isValid(id) && id.length === 24) {
-      try {
-        query = { _id: new ObjectId(id) };
-      } catch (e) {
-        query = { id: String(id) };
-      }
-    } else {
-      query = { id: String(id) };
-    }
+    console.log(`🗑️ Moving product to trash with ID: ${id}`);
     
-    result = await collection.findOneAndDelete(query);
+    const now = new Date().toISOString();
+    const previous = await collection.findOneAndUpdate(
+      { ...buildProductQuery(id), deletedAt: null },
+      { $set: { deletedAt: now, deletedBy: meta.actor || null, updatedAt: now } },
+      { returnDocument: "before" }
+    );
     
-    if (result && result.value) {
-      console.log(`✅ Product deleted with id: ${id}`);
+    if (previous) {
+      await saveProductRevision(previous, "delete", meta.actor);
+      console.log(`✅ Product moved to trash with id: ${id}`);
       return true;
     }
     
@@ -288,32 +744,1819 @@ async function deleteProduct(id) {
   }
 }
 
-// Static Products Collection Operations
-async function getStaticProducts() {
+// Publish-state Migration
+
+// Booleans the old create route wrote next to `status`. The API never read them,
+// so visibility was decided by `status` (and `hidden`) alone.
+const LEGACY_PUBLISH_FLAGS = ["published", "isPublished", "active", "isActive", "visible", "isVisible", "hidden"];
+
+// Lifecycle status for a product stored before the lifecycle existed. Products
+// keep the visibility they had: missing/"published" stays published, anything
+// else the storefront couldn't see becomes a draft.
+function getMigratedStatus(product) {
+  const status = typeof product.status === "string" ? product.status.trim().toLowerCase() : null;
+  if (product.hidden === true) {
+    return status === "archived" ? "archived" : "draft";
+  }
+  if (!status || status === "published") {
+    return "published";
+  }
+  return PRODUCT_STATUSES.includes(status) ? status : "draft";
+}
+
+// One-time migration: set a lifecycle `status` on every product and remove the
+// legacy flags. Safe to run again; `dryRun` only reports what would change.
+async function migratePublishState({ dryRun = false } = {}) {
+  const database = await getDB();
+  const collection = database.collection(PRODUCTS_COLLECTION);
+  const filter = {
+    $or: [
+      { status: { $nin: PRODUCT_STATUSES } },
+      ...LEGACY_PUBLISH_FLAGS.map(flag => ({ [flag]: { $exists: true } }))
+    ]
+  };
+
+  const summary = { updated: 0, statuses: {} };
+  let operations = [];
+  const flush = async () => {
+    if (operations.length > 0 && !dryRun) {
+      await collection.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  for await (const product of collection.find(filter)) {
+    const status = getMigratedStatus(product);
+    summary.updated++;
+    summary.statuses[status] = (summary.statuses[status] || 0) + 1;
+    operations.push({
+      updateOne: {
+        filter: { _id: product._id },
+        update: {
+          $set: { status },
+          $unset: Object.fromEntries(LEGACY_PUBLISH_FLAGS.map(flag => [flag, ""]))
+        }
+      }
+    });
+    if (operations.length >= 500) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`${dryRun ? "🧪" : "✅"} Publish-state migration: ${summary.updated} product(s)`, summary.statuses);
+  return summary;
+}
+
+// One-time migration for products stored before the id counter and slugs:
+// products without an id or sharing one with an older product get a new id from
+// the counter, products without slugs get them, then the unique indexes are built.
+async function migrateProductIds({ dryRun = false } = {}) {
+  const database = await getDB();
+  const collection = database.collection(PRODUCTS_COLLECTION);
+  await seedProductIdCounter(database);
+
+  const summary = { reassigned: [], slugged: 0 };
+  const seen = new Set();
+  const products = await collection
+    .find({}, { projection: { _id: 1, id: 1, createdAt: 1 } })
+    .sort({ createdAt: 1, _id: 1 })
+    .toArray();
+  for (const product of products) {
+    const key = product.id === undefined || product.id === null ? null : `${typeof product.id}:${product.id}`;
+    if (key && !seen.has(key)) {
+      seen.add(key);
+      continue;
+    }
+    const newId = dryRun ? null : await getNextProductId(database);
+    if (!dryRun) {
+      await collection.updateOne({ _id: product._id }, { $set: { id: newId, previousId: product.id === undefined ? null : product.id } });
+    }
+    summary.reassigned.push({ _id: product._id.toString(), from: product.id === undefined ? null : product.id, to: newId });
+  }
+
+  for await (const product of collection.find({ slugs: { $exists: false } })) {
+    summary.slugged++;
+    if (!dryRun) {
+      await syncProductSlugs(collection, product);
+    }
+  }
+
+  if (!dryRun) {
+    await ensureProductKeyIndexes(database);
+  }
+  console.log(`${dryRun ? "🧪" : "✅"} Product id migration: ${summary.reassigned.length} id(s) reassigned, ${summary.slugged} product(s) given slugs`);
+  return summary;
+}
+
+// Which of the given variant SKUs another product (trashed ones included) already uses
+async function findTakenSkus(skus, exceptProductId) {
+  if (skus.length === 0) {
+    return [];
+  }
+  const database = await getDB();
+  const query = { "variants.sku": { $in: skus } };
+  if (exceptProductId !== undefined && exceptProductId !== null) {
+    query.$nor = [buildProductQuery(exceptProductId)];
+  }
+  const products = await database.collection(PRODUCTS_COLLECTION)
+    .find(query, { projection: { "variants.sku": 1 } })
+    .toArray();
+  const taken = new Set(products.flatMap(p => (p.variants || []).map(v => v.sku)));
+  return skus.filter(sku => taken.has(sku));
+}
+
+// Trash Operations
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Most recently deleted first
+async function getTrashedProducts() {
   try {
     const database = await getDB();
-    const collection = database.collection(STATIC_PRODUCTS_COLLECTION);
-    const data = await collection.findOne({ _id: "config" });
-    return data || { hidden: [] };
+    const products = await database.collection(PRODUCTS_COLLECTION)
+      .find({ deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 })
+      .toArray();
+    return products.map(p => formatProduct(p));
   } catch (err) {
-    console.error("Error getting static products:", err);
-    return { hidden: [] };
+    console.error("Error getting trashed products:", err);
+    throw err;
   }
 }
 
-async function saveStaticProducts(data) {
+async function restoreProductFromTrash(id) {
   try {
     const database = await getDB();
-    const collection = database.collection(STATIC_PRODUCTS_COLLECTION);
-    await collection.updateOne(
-      { _id: "config" },
-      { $set: { ...data, _id: "config" } },
-      { upsert: true }
+    const result = await database.collection(PRODUCTS_COLLECTION).findOneAndUpdate(
+      { ...buildProductQuery(id), deletedAt: { $ne: null } },
+      { $set: { deletedAt: null, deletedBy: null, updatedAt: new Date().toISOString() } },
+      { returnDocument: "after" }
     );
-    return true;
+    return result ? formatProduct(result, id) : null;
   } catch (err) {
-    console.error("Error saving static products:", err);
-    return false;
+    console.error("Error restoring product from trash:", err);
+    throw err;
+  }
+}
+
+// Permanently remove a trashed product and its revisions. Returns null if the
+// product isn't in the trash, otherwise the image URLs that are now unreferenced
+// and should be deleted from storage.
+async function purgeProduct(id) {
+  try {
+    const database = await getDB();
+    const purged = await database.collection(PRODUCTS_COLLECTION).findOneAndDelete(
+      { ...buildProductQuery(id), deletedAt: { $ne: null } }
+    );
+    if (!purged) {
+      return null;
+    }
+
+    const productId = String(purged.id !== undefined ? purged.id : purged._id);
+    await database.collection(PRODUCT_COLLECTIONS_COLLECTION).updateMany(
+      { productIds: productId },
+      { $pull: { productIds: productId } }
+    );
+    const revisions = database.collection(PRODUCT_REVISIONS_COLLECTION);
+    const history = await revisions.find({ productId }, { projection: { "snapshot.images": 1 } }).toArray();
+    await revisions.deleteMany({ productId });
+
+    const urls = [
+      ...collectImageUrls(purged.images),
+      ...history.flatMap(r => collectImageUrls(r.snapshot.images))
+    ];
+    console.log(`🔥 Product ${productId} purged`);
+    return findUnreferencedImages(urls);
+  } catch (err) {
+    console.error("Error purging product:", err);
+    throw err;
+  }
+}
+
+// Ids of trashed products older than the retention period
+async function getExpiredTrashIds(retentionDays = TRASH_RETENTION_DAYS) {
+  const database = await getDB();
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  const expired = await database.collection(PRODUCTS_COLLECTION)
+    .find({ deletedAt: { $ne: null, $lt: cutoff } }, { projection: { id: 1 } })
+    .toArray();
+  return expired.map(p => String(p.id !== undefined ? p.id : p._id));
+}
+
+// Product Revisions
+//
+// Every update and delete stores the previous version of the product. Only the
+// newest PRODUCT_REVISION_LIMIT revisions per product are kept; images are only
+// destroyed once no product or remaining revision refers to them.
+
+const PRODUCT_REVISION_LIMIT = parseInt(process.env.PRODUCT_REVISION_LIMIT) || 20;
+
+// Stored file URLs used by a product's images list (main files and their variants)
+function collectImageUrls(images) {
+  return (images || []).flatMap(getImageFileUrls);
+}
+
+async function saveProductRevision(product, reason, actor) {
+  const database = await getDB();
+  const { _id, ...snapshot } = product;
+  await database.collection(PRODUCT_REVISIONS_COLLECTION).insertOne({
+    productId: String(product.id !== undefined ? product.id : _id),
+    reason,
+    actor: actor || null,
+    snapshot,
+    createdAt: new Date().toISOString()
+  });
+}
+
+function formatRevision(revision) {
+  return {
+    ...revision,
+    id: revision._id.toString(),
+    _id: undefined
+  };
+}
+
+// Newest first
+async function getProductRevisions(productId) {
+  try {
+    const database = await getDB();
+    const revisions = await database.collection(PRODUCT_REVISIONS_COLLECTION)
+      .find({ productId: String(productId) })
+      .sort({ createdAt: -1, _id: -1 })
+      .toArray();
+    return revisions.map(formatRevision);
+  } catch (err) {
+    console.error("Error getting product revisions:", err);
+    throw err;
+  }
+}
+
+async function getProductRevision(revisionId) {
+  try {
+    const { ObjectId } = require("mongodb");
+    if (!ObjectId.isValid(revisionId) || String(revisionId).length !== 24) {
+      return null;
+    }
+    const database = await getDB();
+    const revision = await database.collection(PRODUCT_REVISIONS_COLLECTION).findOne({ _id: new ObjectId(revisionId) });
+    return revision ? formatRevision(revision) : null;
+  } catch (err) {
+    console.error("Error getting product revision:", err);
+    throw err;
+  }
+}
+
+// Put a revision's snapshot back: updates the live product, or re-inserts it if
+// it was deleted. The version being replaced is itself kept as a revision.
+async function restoreProductRevision(revision, meta = {}) {
+  try {
+    const database = await getDB();
+    const collection = database.collection(PRODUCTS_COLLECTION);
+    // Slugs are recomputed from the restored names rather than taken from the snapshot
+    const { id, createdAt, updatedAt, slugs, slugHistory, ...fields } = revision.snapshot;
+
+    const existing = await collection.findOne(buildProductQuery(revision.productId));
+    if (existing) {
+      return updateProduct(revision.productId, fields, { reason: "restore", actor: meta.actor });
+    }
+
+    const restored = {
+      ...revision.snapshot,
+      updatedAt: new Date().toISOString()
+    };
+    restored.slugs = await buildSlugs(collection, restored);
+    restored.slugHistory = mergeSlugHistory(slugs, restored.slugs, slugHistory);
+    await collection.insertOne(restored);
+    console.log(`♻️ Product ${revision.productId} restored from revision ${revision.id}`);
+    return formatProduct(restored, revision.productId);
+  } catch (err) {
+    console.error("Error restoring product revision:", err);
+    throw err;
+  }
+}
+
+// Latest snapshot of a deleted product, or null if it isn't deleted
+async function getDeletedProductRevision(productId) {
+  const database = await getDB();
+  const existing = await database.collection(PRODUCTS_COLLECTION).findOne(buildProductQuery(productId));
+  if (existing) {
+    return null;
+  }
+  const revision = await database.collection(PRODUCT_REVISIONS_COLLECTION)
+    .find({ productId: String(productId), reason: "delete" })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(1)
+    .next();
+  return revision ? formatRevision(revision) : null;
+}
+
+// Of the given image URLs (main files or AVIF / WebP variants), return those no
+// product or revision refers to anymore
+async function findUnreferencedImages(urls) {
+  const candidates = [...new Set(urls)];
+  if (candidates.length === 0) {
+    return [];
+  }
+  const database = await getDB();
+  const referenced = new Set();
+
+  const products = await database.collection(PRODUCTS_COLLECTION)
+    .find(
+      {
+        $or: [
+          { images: { $in: candidates } },
+          { "images.url": { $in: candidates } },
+          { "images.variants.url": { $in: candidates } }
+        ]
+      },
+      { projection: { images: 1 } }
+    )
+    .toArray();
+  products.forEach(p => collectImageUrls(p.images).forEach(url => referenced.add(url)));
+
+  const revisions = await database.collection(PRODUCT_REVISIONS_COLLECTION)
+    .find(
+      {
+        $or: [
+          { "snapshot.images": { $in: candidates } },
+          { "snapshot.images.url": { $in: candidates } },
+          { "snapshot.images.variants.url": { $in: candidates } }
+        ]
+      },
+      { projection: { "snapshot.images": 1 } }
+    )
+    .toArray();
+  revisions.forEach(r => collectImageUrls(r.snapshot.images).forEach(url => referenced.add(url)));
+
+  return candidates.filter(url => !referenced.has(url));
+}
+
+// Drop revisions beyond the retention limit. Returns the image URLs that became
+// unreferenced, which the caller should delete from storage.
+async function pruneProductRevisions(productId, keep = PRODUCT_REVISION_LIMIT) {
+  try {
+    const database = await getDB();
+    const collection = database.collection(PRODUCT_REVISIONS_COLLECTION);
+
+    const stale = await collection
+      .find({ productId: String(productId) })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(keep)
+      .toArray();
+    if (stale.length === 0) {
+      return [];
+    }
+
+    await collection.deleteMany({ _id: { $in: stale.map(r => r._id) } });
+    const urls = stale.flatMap(r => collectImageUrls(r.snapshot.images));
+    return findUnreferencedImages(urls);
+  } catch (err) {
+    console.error("Error pruning product revisions:", err);
+    return [];
+  }
+}
+
+// Build the Mongo filter for a product id (numeric id, string id or ObjectId)
+function buildProductQuery(id) {
+  const { ObjectId } = require("mongodb");
+  const text = String(id).trim();
+  if (/^\d+$/.test(text)) {
+    return { id: parseInt(text) };
+  }
+  if (/^[a-f0-9]{24}$/i.test(text)) {
+    return { $or: [{ _id: new ObjectId(text) }, { id: text }] };
+  }
+  return { id: text };
+}
+
+// Stock Reservation Operations
+//
+// Stock lives on the product (`stock`) or on a variant (`variants.$.stock`); a
+// missing value means the item isn't stock-tracked. Reserving decrements stock
+// right away, committing keeps it decremented, releasing puts it back.
+
+const RESERVATION_SWEEP_GRACE_MINUTES = 60;
+
+// Merge cart lines for the same product/variant so each is reserved once
+function groupReservationItems(items) {
+  const grouped = new Map();
+  for (const item of items) {
+    const key = `${item.productId}::${item.variantId || ""}`;
+    const existing = grouped.get(key);
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      grouped.set(key, {
+        productId: String(item.productId),
+        variantId: item.variantId ? String(item.variantId) : null,
+        quantity: item.quantity
+      });
+    }
+  }
+  return [...grouped.values()];
+}
+
+// Undo stock decrements for reserved items
+async function restoreStock(collection, items) {
+  for (const item of items) {
+    const query = buildProductQuery(item.productId);
+    if (item.field === "variant") {
+      await collection.updateOne(
+        { ...query, "variants.id": item.variantId },
+        { $inc: { "variants.$.stock": item.quantity } }
+      );
+    } else {
+      await collection.updateOne(query, { $inc: { stock: item.quantity } });
+    }
+  }
+}
+
+// Atomically take stock for a cart. Returns { reservationId } on success or
+// { failed: { productId, variantId, available } } when an item can't be covered
+// (in which case nothing stays reserved).
+async function reserveStock(items, expiresAt) {
+  try {
+    const database = await getDB();
+    const products = database.collection(PRODUCTS_COLLECTION);
+    const reserved = [];
+
+    for (const item of groupReservationItems(items)) {
+      const query = buildProductQuery(item.productId);
+      const product = await products.findOne(query);
+      const variant = item.variantId && product && Array.isArray(product.variants)
+        ? product.variants.find(v => String(v.id) === item.variantId)
+        : null;
+
+      let field = null;
+      if (variant && typeof variant.stock === "number") {
+        field = "variant";
+      } else if (product && typeof product.stock === "number") {
+        field = "product";
+      }
+      if (!field) {
+        continue; // not stock-tracked
+      }
+
+      const result = field === "variant"
+        ? await products.updateOne(
+          { ...query, variants: { $elemMatch: { id: variant.id, stock: { $gte: item.quantity } } } },
+          { $inc: { "variants.$.stock": -item.quantity } }
+        )
+        : await products.updateOne(
+          { ...query, stock: { $gte: item.quantity } },
+          { $inc: { stock: -item.quantity } }
+        );
+
+      if (result.modifiedCount === 0) {
+        await restoreStock(products, reserved);
+        const current = await products.findOne(query);
+        const currentVariant = field === "variant" && current
+          ? (current.variants || []).find(v => String(v.id) === item.variantId)
+          : null;
+        const available = field === "variant"
+          ? (currentVariant ? currentVariant.stock : 0)
+          : (current ? current.stock : 0);
+        return { failed: { productId: item.productId, variantId: item.variantId, available: Math.max(available || 0, 0) } };
+      }
+
+      reserved.push({ ...item, variantId: field === "variant" ? variant.id : item.variantId, field });
+    }
+
+    const now = new Date().toISOString();
+    const result = await database.collection(RESERVATIONS_COLLECTION).insertOne({
+      items: reserved,
+      status: "held",
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: new Date(expiresAt).toISOString()
+    });
+
+    return { reservationId: result.insertedId.toString() };
+  } catch (err) {
+    console.error("Error reserving stock:", err);
+    throw err;
+  }
+}
+
+// Move a held reservation to committed/released. Only one caller can win the
+// move, so a reservation is never released twice (or released after commit).
+async function settleReservation(reservationId, status, fromStatus = "held") {
+  const { ObjectId } = require("mongodb");
+  if (!reservationId || !ObjectId.isValid(reservationId)) {
+    return null;
+  }
+  const database = await getDB();
+  return database.collection(RESERVATIONS_COLLECTION).findOneAndUpdate(
+    { _id: new ObjectId(reservationId), status: fromStatus },
+    { $set: { status, updatedAt: new Date().toISOString() } },
+    { returnDocument: "after" }
+  );
+}
+
+async function commitReservation(reservationId) {
+  try {
+    const reservation = await settleReservation(reservationId, "committed");
+    if (!reservation) {
+      return false;
+    }
+    await settlePromotionRedemption(reservationId, "redeemed");
+    return true;
+  } catch (err) {
+    console.error("Error committing stock reservation:", err);
+    throw err;
+  }
+}
+
+// Put the stock and promotion use of a reservation back. `fromStatus` is "held" for an
+// unfinished checkout and "committed" for a paid order that was cancelled or refunded.
+async function releaseReservation(reservationId, fromStatus = "held") {
+  try {
+    const reservation = await settleReservation(reservationId, "released", fromStatus);
+    if (!reservation) {
+      return false;
+    }
+    const database = await getDB();
+    await restoreStock(database.collection(PRODUCTS_COLLECTION), reservation.items);
+    await settlePromotionRedemption(reservationId, "released", fromStatus === "committed" ? "redeemed" : "held");
+    return true;
+  } catch (err) {
+    console.error("Error releasing stock reservation:", err);
+    throw err;
+  }
+}
+
+// A checkout was paid after its hold was released (the webhook came late): take the
+// stock and the promotion use again. Items sold out in the meantime can't be taken
+// and come back as shortages. Returns { shortages }, or null when the reservation
+// wasn't released.
+async function recommitReservation(reservationId) {
+  try {
+    const reservation = await settleReservation(reservationId, "committed", "released");
+    if (!reservation) {
+      return null;
+    }
+    const database = await getDB();
+    const products = database.collection(PRODUCTS_COLLECTION);
+    const taken = [];
+    const shortages = [];
+    for (const item of reservation.items) {
+      const query = buildProductQuery(item.productId);
+      const result = item.field === "variant"
+        ? await products.updateOne(
+          { ...query, variants: { $elemMatch: { id: item.variantId, stock: { $gte: item.quantity } } } },
+          { $inc: { "variants.$.stock": -item.quantity } }
+        )
+        : await products.updateOne(
+          { ...query, stock: { $gte: item.quantity } },
+          { $inc: { stock: -item.quantity } }
+        );
+      if (result.modifiedCount === 0) {
+        shortages.push({ productId: item.productId, variantId: item.variantId, quantity: item.quantity });
+      } else {
+        taken.push(item);
+      }
+    }
+    if (shortages.length > 0) {
+      // Keep only what was taken, so releasing the order later doesn't restock the rest
+      await database.collection(RESERVATIONS_COLLECTION).updateOne(
+        { _id: reservation._id },
+        { $set: { items: taken, shortages } }
+      );
+    }
+    await settlePromotionRedemption(reservationId, "redeemed", "released");
+    return { shortages };
+  } catch (err) {
+    console.error("Error recommitting stock reservation:", err);
+    throw err;
+  }
+}
+
+// Release holds whose checkout can no longer complete (safety net for missed webhooks).
+// Stripe's own expired webhook releases a hold right away; the sweep waits a while
+// longer, so a late completed webhook still finds its hold.
+async function releaseExpiredReservations() {
+  try {
+    const database = await getDB();
+    const cutoff = new Date(Date.now() - RESERVATION_SWEEP_GRACE_MINUTES * 60 * 1000).toISOString();
+    const expired = await database.collection(RESERVATIONS_COLLECTION)
+      .find({ status: "held", expiresAt: { $lt: cutoff } }, { projection: { _id: 1 } })
+      .limit(100)
+      .toArray();
+
+    let released = 0;
+    for (const reservation of expired) {
+      if (await releaseReservation(reservation._id.toString())) {
+        released++;
+      }
+    }
+    return released;
+  } catch (err) {
+    console.error("Error releasing expired reservations:", err);
+    return 0;
+  }
+}
+
+// Shipping Quote Operations
+
+// Rates quoted to the storefront, kept with the shipment (parcel and destination)
+// they were quoted for, so checkout only accepts a rate for the cart it was quoted on.
+// Rates quoted for an order's label also keep the order they belong to.
+
+const SHIPPING_QUOTE_TTL_HOURS = 24;
+
+async function saveShippingQuote({ shipmentId, parcel, addressTo, rates, orderId = null }) {
+  const database = await getDB();
+  const now = Date.now();
+  await database.collection(SHIPPING_QUOTES_COLLECTION).insertOne({
+    shipmentId,
+    parcel,
+    destination: { country: addressTo.country, zip: addressTo.zip },
+    rates,
+    orderId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SHIPPING_QUOTE_TTL_HOURS * 60 * 60 * 1000)
+  });
+}
+
+// The unexpired quote a rate id came from, or null
+async function getShippingQuote(rateId) {
+  const database = await getDB();
+  return database.collection(SHIPPING_QUOTES_COLLECTION).findOne({
+    "rates.id": String(rateId),
+    expiresAt: { $gt: new Date() }
+  });
+}
+
+// Category Operations
+
+// Categories nest through `parentId`; `ancestors` (root first) lets a whole subtree
+// be found with one query. Siblings are ordered by `position`.
+
+function formatCategory(category) {
+  return { ...category, id: category._id.toString(), _id: undefined };
+}
+
+// Id (ObjectId hex) or slug, for categories and curated collections
+function buildIdOrSlugQuery(idOrSlug) {
+  const { ObjectId } = require("mongodb");
+  const text = String(idOrSlug).trim();
+  return /^[a-f0-9]{24}$/i.test(text) ? { _id: new ObjectId(text) } : { slug: text.toLowerCase() };
+}
+
+async function getCategories() {
+  const database = await getDB();
+  const categories = await database.collection(CATEGORIES_COLLECTION)
+    .find({})
+    .sort({ position: 1, _id: 1 })
+    .toArray();
+  return categories.map(formatCategory);
+}
+
+async function getCategory(idOrSlug) {
+  const database = await getDB();
+  const category = await database.collection(CATEGORIES_COLLECTION).findOne(buildIdOrSlugQuery(idOrSlug));
+  return category ? formatCategory(category) : null;
+}
+
+// Ids of a category and all its descendants, or null when it doesn't exist
+async function getCategorySubtreeIds(idOrSlug) {
+  const category = await getCategory(idOrSlug);
+  if (!category) {
+    return null;
+  }
+  const database = await getDB();
+  const descendants = await database.collection(CATEGORIES_COLLECTION)
+    .find({ ancestors: category.id }, { projection: { _id: 1 } })
+    .toArray();
+  return [category.id, ...descendants.map(d => d._id.toString())];
+}
+
+// Of the given category ids, those that don't exist
+async function findUnknownCategoryIds(ids) {
+  const { ObjectId } = require("mongodb");
+  const valid = ids.filter(id => /^[a-f0-9]{24}$/i.test(String(id)));
+  const database = await getDB();
+  const found = await database.collection(CATEGORIES_COLLECTION)
+    .find({ _id: { $in: valid.map(id => new ObjectId(id)) } }, { projection: { _id: 1 } })
+    .toArray();
+  const foundIds = found.map(c => c._id.toString());
+  return ids.filter(id => !foundIds.includes(String(id)));
+}
+
+// Unique slug from a name in `collectionName` (categories, curated collections)
+async function buildUniqueSlug(collectionName, name, ownId) {
+  const database = await getDB();
+  const collection = database.collection(collectionName);
+  const base = slugify(name) || "untitled";
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? base : `${base}-${n}`;
+    const taken = await collection.findOne(
+      { slug: candidate, ...(ownId && { _id: { $ne: ownId } }) },
+      { projection: { _id: 1 } }
+    );
+    if (!taken) {
+      return candidate;
+    }
+  }
+}
+
+function getDefaultName(translations) {
+  const names = translations || {};
+  const entry = names[DEFAULT_LANGUAGE] && names[DEFAULT_LANGUAGE].name ? names[DEFAULT_LANGUAGE] : Object.values(names).find(t => t && t.name);
+  return entry ? entry.name : "";
+}
+
+// Returns the parent and the ancestors a child of it gets. Throws a 400 when it doesn't exist.
+async function resolveParentCategory(parentId) {
+  if (!parentId) {
+    return { parent: null, ancestors: [] };
+  }
+  const parent = await getCategory(parentId);
+  if (!parent) {
+    throw Object.assign(new Error("Parent category not found"), { status: 400 });
+  }
+  return { parent, ancestors: [...(parent.ancestors || []), parent.id] };
+}
+
+// Two writes can pick the same free slug at once; the unique index catches the second
+function toCategorySlugError(err) {
+  if (err.code === 11000) {
+    return Object.assign(new Error("A category with this slug already exists"), { status: 409 });
+  }
+  return err;
+}
+
+// { parentId, translations, position } — new categories go last among their siblings
+async function createCategory({ parentId = null, translations, position }) {
+  const database = await getDB();
+  const collection = database.collection(CATEGORIES_COLLECTION);
+  const { parent, ancestors } = await resolveParentCategory(parentId);
+  const siblingQuery = { parentId: parent ? parent.id : null };
+
+  const now = new Date().toISOString();
+  const category = {
+    parentId: parent ? parent.id : null,
+    ancestors,
+    translations,
+    slug: await buildUniqueSlug(CATEGORIES_COLLECTION, getDefaultName(translations)),
+    position: position !== undefined ? position : await collection.countDocuments(siblingQuery),
+    createdAt: now,
+    updatedAt: now
+  };
+  let result;
+  try {
+    result = await collection.insertOne(category);
+  } catch (err) {
+    throw toCategorySlugError(err);
+  }
+  return formatCategory({ ...category, _id: result.insertedId });
+}
+
+// { parentId?, translations?, position? }. Moving a category moves its subtree;
+// it can't be moved below itself. Returns null when it doesn't exist.
+async function updateCategory(id, changes) {
+  const database = await getDB();
+  const collection = database.collection(CATEGORIES_COLLECTION);
+  const existing = await collection.findOne(buildIdOrSlugQuery(id));
+  if (!existing) {
+    return null;
+  }
+  const categoryId = existing._id.toString();
+  const set = { updatedAt: new Date().toISOString() };
+
+  if (changes.translations !== undefined) {
+    set.translations = changes.translations;
+    const name = getDefaultName(changes.translations);
+    if (slugify(name) !== slugify(getDefaultName(existing.translations))) {
+      set.slug = await buildUniqueSlug(CATEGORIES_COLLECTION, name, existing._id);
+    }
+  }
+  if (changes.position !== undefined) {
+    set.position = changes.position;
+  }
+
+  const parentId = changes.parentId === undefined ? undefined : (changes.parentId || null);
+  if (parentId !== undefined && parentId !== existing.parentId) {
+    const { parent, ancestors } = await resolveParentCategory(parentId);
+    if (parent && (parent.id === categoryId || ancestors.includes(categoryId))) {
+      throw Object.assign(new Error("A category can't be moved into itself or one of its subcategories"), { status: 400 });
+    }
+    set.parentId = parent ? parent.id : null;
+    set.ancestors = ancestors;
+    if (changes.position === undefined) {
+      set.position = await collection.countDocuments({ parentId: set.parentId });
+    }
+
+    // Descendants keep their path below this category
+    const descendants = await collection.find({ ancestors: categoryId }).toArray();
+    if (descendants.length > 0) {
+      await collection.bulkWrite(descendants.map(d => ({
+        updateOne: {
+          filter: { _id: d._id },
+          update: { $set: { ancestors: [...ancestors, categoryId, ...d.ancestors.slice(d.ancestors.indexOf(categoryId) + 1)] } }
+        }
+      })));
+    }
+  }
+
+  let updated;
+  try {
+    updated = await collection.findOneAndUpdate({ _id: existing._id }, { $set: set }, { returnDocument: "after" });
+  } catch (err) {
+    throw toCategorySlugError(err);
+  }
+  return updated ? formatCategory(updated) : null;
+}
+
+// Categories with subcategories can't be deleted. Products and promotions lose the category;
+// promotions left without any target are deactivated.
+// Returns false when it doesn't exist; throws a 409 when it has children.
+async function deleteCategory(id) {
+  const database = await getDB();
+  const collection = database.collection(CATEGORIES_COLLECTION);
+  const existing = await collection.findOne(buildIdOrSlugQuery(id));
+  if (!existing) {
+    return false;
+  }
+  const categoryId = existing._id.toString();
+  if (await collection.countDocuments({ parentId: categoryId }) > 0) {
+    throw Object.assign(new Error("Move or delete the subcategories first"), { status: 409 });
+  }
+  await collection.deleteOne({ _id: existing._id });
+  await database.collection(PRODUCTS_COLLECTION).updateMany(
+    { categories: categoryId },
+    { $pull: { categories: categoryId } }
+  );
+  // A promotion aimed only at this category would otherwise start applying to whole carts
+  const promotions = database.collection(PROMOTIONS_COLLECTION);
+  await promotions.updateMany(
+    { categoryIds: [categoryId], $or: [{ productIds: { $exists: false } }, { productIds: { $size: 0 } }] },
+    { $set: { active: false, updatedAt: new Date().toISOString() } }
+  );
+  await promotions.updateMany(
+    { categoryIds: categoryId },
+    { $pull: { categoryIds: categoryId } }
+  );
+  return true;
+}
+
+// Set the order of a parent's children to the order of `ids`. Returns how many were updated.
+async function reorderCategories(parentId, ids) {
+  const { ObjectId } = require("mongodb");
+  const database = await getDB();
+  const result = await database.collection(CATEGORIES_COLLECTION).bulkWrite(ids.map((id, position) => ({
+    updateOne: {
+      filter: { _id: new ObjectId(String(id)), parentId: parentId || null },
+      update: { $set: { position, updatedAt: new Date().toISOString() } }
+    }
+  })));
+  return result.matchedCount;
+}
+
+// Curated Collection Operations
+
+// Hand-picked product lists ("Featured", "New arrivals"). `productIds` is kept in display order.
+
+function formatProductCollection(collection) {
+  return { ...collection, id: collection._id.toString(), _id: undefined };
+}
+
+async function getProductCollections() {
+  const database = await getDB();
+  const collections = await database.collection(PRODUCT_COLLECTIONS_COLLECTION)
+    .find({})
+    .sort({ createdAt: 1 })
+    .toArray();
+  return collections.map(formatProductCollection);
+}
+
+async function getProductCollection(idOrSlug) {
+  const database = await getDB();
+  const collection = await database.collection(PRODUCT_COLLECTIONS_COLLECTION).findOne(buildIdOrSlugQuery(idOrSlug));
+  return collection ? formatProductCollection(collection) : null;
+}
+
+// { slug?, translations, productIds }. Throws 11000 when the slug is taken.
+async function createProductCollection({ slug, translations, productIds = [] }) {
+  const database = await getDB();
+  const now = new Date().toISOString();
+  const collection = {
+    slug: slug ? slugify(slug) : await buildUniqueSlug(PRODUCT_COLLECTIONS_COLLECTION, getDefaultName(translations)),
+    translations,
+    productIds: [...new Set(productIds.map(String))],
+    createdAt: now,
+    updatedAt: now
+  };
+  const result = await database.collection(PRODUCT_COLLECTIONS_COLLECTION).insertOne(collection);
+  return formatProductCollection({ ...collection, _id: result.insertedId });
+}
+
+// { slug?, translations?, productIds? } — productIds replaces the list (and its order)
+async function updateProductCollection(id, changes) {
+  const database = await getDB();
+  const set = { updatedAt: new Date().toISOString() };
+  if (changes.slug !== undefined) {
+    set.slug = slugify(changes.slug);
+  }
+  if (changes.translations !== undefined) {
+    set.translations = changes.translations;
+  }
+  if (changes.productIds !== undefined) {
+    set.productIds = [...new Set(changes.productIds.map(String))];
+  }
+  const updated = await database.collection(PRODUCT_COLLECTIONS_COLLECTION).findOneAndUpdate(
+    buildIdOrSlugQuery(id),
+    { $set: set },
+    { returnDocument: "after" }
+  );
+  return updated ? formatProductCollection(updated) : null;
+}
+
+// Insert a product at `position` (default: the end). A product already in the collection is moved.
+async function addProductToCollection(id, productId, position) {
+  const database = await getDB();
+  const collection = database.collection(PRODUCT_COLLECTIONS_COLLECTION);
+  const key = String(productId);
+  const query = buildIdOrSlugQuery(id);
+  await collection.updateOne(query, { $pull: { productIds: key } });
+  const updated = await collection.findOneAndUpdate(
+    query,
+    {
+      $push: { productIds: { $each: [key], ...(position !== undefined && { $position: position }) } },
+      $set: { updatedAt: new Date().toISOString() }
+    },
+    { returnDocument: "after" }
+  );
+  return updated ? formatProductCollection(updated) : null;
+}
+
+async function removeProductFromCollection(id, productId) {
+  const database = await getDB();
+  const updated = await database.collection(PRODUCT_COLLECTIONS_COLLECTION).findOneAndUpdate(
+    buildIdOrSlugQuery(id),
+    { $pull: { productIds: String(productId) }, $set: { updatedAt: new Date().toISOString() } },
+    { returnDocument: "after" }
+  );
+  return updated ? formatProductCollection(updated) : null;
+}
+
+async function deleteProductCollection(id) {
+  const database = await getDB();
+  const result = await database.collection(PRODUCT_COLLECTIONS_COLLECTION).deleteOne(buildIdOrSlugQuery(id));
+  return result.deletedCount === 1;
+}
+
+// Products (not trashed) with the given ids, in that order; unknown ids are skipped
+async function getProductsByIds(ids) {
+  if (ids.length === 0) {
+    return [];
+  }
+  const database = await getDB();
+  const products = await database.collection(PRODUCTS_COLLECTION)
+    .find({ deletedAt: null, $or: ids.map(buildProductQuery) })
+    .toArray();
+  const byId = new Map(products.map(p => [String(p.id !== undefined ? p.id : p._id), formatProduct(p)]));
+  return ids.map(id => byId.get(String(id))).filter(Boolean);
+}
+
+// Machine Translation Cache (entries are keyed by provider, language pair and text hash
+// and expire TRANSLATION_CACHE_TTL_DAYS after they were last saved)
+
+const TRANSLATION_CACHE_TTL_DAYS = 90;
+
+async function getCachedTranslation(key) {
+  const database = await getDB();
+  const entry = await database.collection(TRANSLATION_CACHE_COLLECTION).findOne({ key });
+  return entry ? entry.translatedText : null;
+}
+
+async function saveCachedTranslation(entry) {
+  const database = await getDB();
+  await database.collection(TRANSLATION_CACHE_COLLECTION).updateOne(
+    { key: entry.key },
+    {
+      $set: {
+        ...entry,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + TRANSLATION_CACHE_TTL_DAYS * 24 * 60 * 60 * 1000)
+      }
+    },
+    { upsert: true }
+  );
+}
+
+// Promotion Operations
+
+// `usedCount` counts held and redeemed uses, so a usage limit also covers checkouts
+// still in progress. Each use is a redemption tied to the checkout's stock reservation
+// and settles with it: redeemed when the order is paid, released (giving the use back)
+// when the checkout fails or expires.
+
+function formatPromotion(promotion) {
+  return { ...promotion, id: promotion._id.toString(), _id: undefined };
+}
+
+function toPromotionObjectId(id) {
+  const { ObjectId } = require("mongodb");
+  return /^[a-f0-9]{24}$/i.test(String(id)) ? new ObjectId(String(id)) : null;
+}
+
+async function getPromotions() {
+  const database = await getDB();
+  const promotions = await database.collection(PROMOTIONS_COLLECTION)
+    .find({})
+    .sort({ createdAt: -1 })
+    .toArray();
+  return promotions.map(formatPromotion);
+}
+
+async function getPromotion(id) {
+  const _id = toPromotionObjectId(id);
+  if (!_id) {
+    return null;
+  }
+  const database = await getDB();
+  const promotion = await database.collection(PROMOTIONS_COLLECTION).findOne({ _id });
+  return promotion ? formatPromotion(promotion) : null;
+}
+
+// Codes are stored uppercase
+async function getPromotionByCode(code) {
+  const database = await getDB();
+  const promotion = await database.collection(PROMOTIONS_COLLECTION).findOne({ code: String(code).trim().toUpperCase() });
+  return promotion ? formatPromotion(promotion) : null;
+}
+
+// Throws 11000 when the code is taken
+async function createPromotion(promotion) {
+  const database = await getDB();
+  const now = new Date().toISOString();
+  const newPromotion = { ...promotion, usedCount: 0, createdAt: now, updatedAt: now };
+  const result = await database.collection(PROMOTIONS_COLLECTION).insertOne(newPromotion);
+  return formatPromotion({ ...newPromotion, _id: result.insertedId });
+}
+
+async function updatePromotion(id, changes) {
+  const _id = toPromotionObjectId(id);
+  if (!_id) {
+    return null;
+  }
+  const { usedCount, createdAt, ...set } = changes;
+  const database = await getDB();
+  const updated = await database.collection(PROMOTIONS_COLLECTION).findOneAndUpdate(
+    { _id },
+    { $set: { ...set, updatedAt: new Date().toISOString() } },
+    { returnDocument: "after" }
+  );
+  return updated ? formatPromotion(updated) : null;
+}
+
+// Used promotions are kept for their order history; deactivate them instead
+async function deletePromotion(id) {
+  const _id = toPromotionObjectId(id);
+  if (!_id) {
+    return false;
+  }
+  const database = await getDB();
+  const used = await database.collection(PROMOTION_REDEMPTIONS_COLLECTION).countDocuments({ promotionId: _id.toString() }, { limit: 1 });
+  if (used > 0) {
+    throw Object.assign(new Error("This promotion has been used, deactivate it instead"), { status: 409 });
+  }
+  const result = await database.collection(PROMOTIONS_COLLECTION).deleteOne({ _id });
+  return result.deletedCount === 1;
+}
+
+// Take one use of a promotion for a checkout: { code, reservationId, discount, freeShipping }.
+// Returns the redemption, or null when the promotion is inactive or used up.
+async function claimPromotion(promotionId, redemption) {
+  const _id = toPromotionObjectId(promotionId);
+  if (!_id) {
+    return null;
+  }
+  const database = await getDB();
+  const promotions = database.collection(PROMOTIONS_COLLECTION);
+  const claimed = await promotions.updateOne(
+    {
+      _id,
+      active: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }]
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  if (claimed.modifiedCount === 0) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const newRedemption = {
+    ...redemption,
+    promotionId: _id.toString(),
+    status: "held",
+    stripeSessionId: null,
+    stripeCouponId: null,
+    orderId: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  try {
+    const result = await database.collection(PROMOTION_REDEMPTIONS_COLLECTION).insertOne(newRedemption);
+    return { ...newRedemption, id: result.insertedId.toString() };
+  } catch (err) {
+    await promotions.updateOne({ _id }, { $inc: { usedCount: -1 } });
+    throw err;
+  }
+}
+
+// Link a redemption to its Stripe coupon, checkout session and order:
+// { stripeCouponId?, stripeSessionId?, orderId? }
+async function attachPromotionRedemption(reservationId, links) {
+  const set = {};
+  if (links.stripeCouponId) {
+    set.stripeCouponId = links.stripeCouponId;
+  }
+  if (links.stripeSessionId) {
+    set.stripeSessionId = links.stripeSessionId;
+  }
+  if (links.orderId) {
+    set.orderId = links.orderId;
+  }
+  const database = await getDB();
+  await database.collection(PROMOTION_REDEMPTIONS_COLLECTION).updateOne(
+    { reservationId },
+    { $set: { ...set, updatedAt: new Date().toISOString() } }
+  );
+}
+
+// Settle the redemption of a reservation (if any) as redeemed or released. A released
+// use is given back; redeeming one that was released (a late payment) takes it again.
+async function settlePromotionRedemption(reservationId, status, fromStatus = "held") {
+  const database = await getDB();
+  const redemption = await database.collection(PROMOTION_REDEMPTIONS_COLLECTION).findOneAndUpdate(
+    { reservationId, status: fromStatus },
+    { $set: { status, updatedAt: new Date().toISOString() } },
+    { returnDocument: "after" }
+  );
+  const change = status === "released" ? -1 : (fromStatus === "released" ? 1 : 0);
+  if (redemption && change !== 0) {
+    await database.collection(PROMOTIONS_COLLECTION).updateOne(
+      { _id: toPromotionObjectId(redemption.promotionId) },
+      { $inc: { usedCount: change } }
+    );
+  }
+  return redemption;
+}
+
+async function getPromotionRedemptions(promotionId, { limit = 100 } = {}) {
+  const database = await getDB();
+  const redemptions = await database.collection(PROMOTION_REDEMPTIONS_COLLECTION)
+    .find({ promotionId: String(promotionId) })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+  return redemptions.map(r => ({ ...r, id: r._id.toString(), _id: undefined }));
+}
+
+// Released uses whose single-use Stripe coupon hasn't been deleted yet
+async function getReleasedRedemptionCoupons(limit = 20) {
+  const database = await getDB();
+  const redemptions = await database.collection(PROMOTION_REDEMPTIONS_COLLECTION)
+    .find({ status: "released", stripeCouponId: { $type: "string" }, couponDeletedAt: null })
+    .limit(limit)
+    .toArray();
+  return redemptions.map(r => ({ id: r._id.toString(), stripeCouponId: r.stripeCouponId }));
+}
+
+async function markRedemptionCouponDeleted(id) {
+  const { ObjectId } = require("mongodb");
+  const database = await getDB();
+  await database.collection(PROMOTION_REDEMPTIONS_COLLECTION).updateOne(
+    { _id: new ObjectId(id) },
+    { $set: { couponDeletedAt: new Date().toISOString() } }
+  );
+}
+
+// Rate Limit Operations
+
+// Count a hit for `key` (e.g. "promo:<ip>") in the current fixed window. Returns the
+// number of hits in the window so far. Kept in Mongo so every instance shares the count.
+async function recordRateLimitHit(key, windowMs) {
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  const database = await getDB();
+  const entry = await database.collection(RATE_LIMITS_COLLECTION).findOneAndUpdate(
+    { key, windowStart },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowStart + windowMs) } },
+    { upsert: true, returnDocument: "after" }
+  );
+  return entry.count;
+}
+
+// Static Products Collection Operations
+
+// Static products are hardcoded in the storefront; their visibility used to live
+// only in the { _id: "config", hidden: [] } document. Imported static products are
+// regular product documents (`source: "static"`, original id kept) and follow the
+// publication lifecycle. The config document still covers those not imported yet.
+
+// Ids given from outside (static products, imports) are kept as they are;
+// numeric ones are stored as numbers like other products
+function normalizeProductId(id) {
+  const text = String(id).trim();
+  return /^\d+$/.test(text) ? parseInt(text) : text;
+}
+
+// Compatibility view for GET /api/static-products: { hidden, imported }
+async function getStaticProducts() {
+  try {
+    const database = await getDB();
+    const [config, imported] = await Promise.all([
+      database.collection(STATIC_PRODUCTS_COLLECTION).findOne({ _id: "config" }),
+      database.collection(PRODUCTS_COLLECTION)
+        .find({ source: "static" }, { projection: { id: 1, status: 1, publishAt: 1, unpublishAt: 1, deletedAt: 1 } })
+        .toArray()
+    ]);
+
+    const importedIds = imported.map(p => String(p.id));
+    const hidden = ((config && config.hidden) || []).filter(id => !importedIds.includes(String(id)));
+    for (const product of imported) {
+      if (!isProductPublic(product)) {
+        hidden.push(String(product.id));
+      }
+    }
+    return { hidden, imported: importedIds };
+  } catch (err) {
+    console.error("Error getting static products:", err);
+    return { hidden: [], imported: [] };
+  }
+}
+
+// Import static products as product documents. Products that were already
+// imported are skipped; ids taken by a non-static product are reported as conflicts.
+// Products hidden in the config document are imported as archived.
+async function importStaticProducts(products, meta = {}) {
+  const database = await getDB();
+  const collection = database.collection(PRODUCTS_COLLECTION);
+  const configCollection = database.collection(STATIC_PRODUCTS_COLLECTION);
+  const config = await configCollection.findOne({ _id: "config" });
+  const hiddenIds = ((config && config.hidden) || []).map(String);
+
+  const result = { imported: [], skipped: [], conflicts: [] };
+  for (const { id: rawId, ...fields } of products) {
+    const id = normalizeProductId(rawId);
+    const existing = await collection.findOne({ id }, { projection: { source: 1 } });
+    if (existing) {
+      (existing.source === "static" ? result.skipped : result.conflicts).push(String(id));
+      continue;
+    }
+
+    const now = new Date().toISOString();
+    const status = hiddenIds.includes(String(id)) ? "archived" : (fields.status || "published");
+    const upserted = await collection.updateOne(
+      { id },
+      {
+        $setOnInsert: {
+          ...fields,
+          source: "static",
+          status,
+          importedBy: meta.actor || null,
+          createdAt: now,
+          updatedAt: now
+        }
+      },
+      { upsert: true }
+    );
+    if (upserted.upsertedCount !== 1) {
+      // Another import created it in the meantime
+      result.skipped.push(String(id));
+      continue;
+    }
+    if (typeof id === "number") {
+      await raiseProductIdCounter(database, id);
+    }
+    await syncProductSlugs(collection, await collection.findOne({ id }));
+    result.imported.push(String(id));
+  }
+
+  // Their visibility now lives on the product
+  if (result.imported.length > 0) {
+    await configCollection.updateOne({ _id: "config" }, { $pull: { hidden: { $in: result.imported } } });
+  }
+  return result;
+}
+
+// Flip a static product between shown and hidden in one atomic update.
+// Imported products switch between published and archived (showing one clears
+// its schedule); others are added to / removed from the config document.
+// Returns { productId, hidden, imported }, or null for a trashed imported product.
+async function toggleStaticProduct(productId, meta = {}) {
+  const database = await getDB();
+  const id = normalizeProductId(productId);
+  const date = new Date();
+  const now = date.toISOString();
+
+  const product = await database.collection(PRODUCTS_COLLECTION).findOne({ id, source: "static" }, { projection: { deletedAt: 1 } });
+  if (product) {
+    if (product.deletedAt) {
+      return null;
+    }
+    const visible = buildPublicProductExpr(date);
+    const previous = await database.collection(PRODUCTS_COLLECTION).findOneAndUpdate(
+      { id, source: "static", deletedAt: null },
+      [{
+        $set: {
+          status: { $cond: [visible, "archived", "published"] },
+          publishAt: { $cond: [visible, { $ifNull: ["$publishAt", null] }, null] },
+          unpublishAt: { $cond: [visible, { $ifNull: ["$unpublishAt", null] }, null] },
+          updatedAt: now
+        }
+      }],
+      { returnDocument: "before" }
+    );
+    if (!previous) {
+      return null;
+    }
+    await saveProductRevision(previous, "update", meta.actor);
+    return { productId: String(id), hidden: isProductPublic(previous, date), imported: true };
+  }
+
+  const key = String(productId);
+  const hiddenList = { $ifNull: ["$hidden", []] };
+  const config = await database.collection(STATIC_PRODUCTS_COLLECTION).findOneAndUpdate(
+    { _id: "config" },
+    [{
+      $set: {
+        hidden: {
+          $cond: [
+            { $in: [key, hiddenList] },
+            { $filter: { input: hiddenList, cond: { $ne: ["$$this", key] } } },
+            { $concatArrays: [hiddenList, [key]] }
+          ]
+        }
+      }
+    }],
+    { upsert: true, returnDocument: "after" }
+  );
+  return { productId: key, hidden: config.hidden.includes(key), imported: false };
+}
+
+// Orders Collection Operations
+
+// Allowed order status changes. pending/expired are driven by Stripe checkout;
+// the rest is the fulfilment flow admins move orders through.
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ["paid", "expired", "cancelled"],
+  expired: ["paid"],
+  paid: ["packed", "cancelled", "refunded"],
+  packed: ["shipped", "cancelled", "refunded"],
+  shipped: ["delivered", "refunded"],
+  delivered: ["refunded"],
+  cancelled: ["refunded"],
+  refunded: []
+};
+
+// The moves admins may make by hand. Only the Stripe webhook marks an order paid
+// or expired, so an unpaid order can't be marked paid and shipped from the admin.
+const ADMIN_ORDER_STATUS_TRANSITIONS = {
+  pending: ["cancelled"],
+  expired: [],
+  paid: ["packed", "cancelled", "refunded"],
+  packed: ["shipped", "cancelled", "refunded"],
+  shipped: ["delivered", "refunded"],
+  delivered: ["refunded"],
+  cancelled: ["refunded"],
+  refunded: []
+};
+
+// Statuses admins may set
+const ADMIN_ORDER_STATUSES = [...new Set(Object.values(ADMIN_ORDER_STATUS_TRANSITIONS).flat())];
+
+function canTransitionOrder(from, to, transitions = ORDER_STATUS_TRANSITIONS) {
+  return (transitions[from] || []).includes(to);
+}
+
+// Statuses an order may be in for a move to `to` to be legal
+function getOrderSourceStatuses(to) {
+  return Object.keys(ORDER_STATUS_TRANSITIONS).filter(from => canTransitionOrder(from, to));
+}
+
+function formatOrder(order) {
+  return {
+    ...order,
+    id: order._id.toString(),
+    _id: undefined
+  };
+}
+
+async function createOrder(order) {
+  try {
+    const database = await getDB();
+    const collection = database.collection(ORDERS_COLLECTION);
+    const now = new Date().toISOString();
+
+    const newOrder = {
+      ...order,
+      statusHistory: [{ status: order.status, note: order.note || "Order created", at: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+    delete newOrder.note;
+
+    const result = await collection.insertOne(newOrder);
+    return formatOrder({ ...newOrder, _id: result.insertedId });
+  } catch (err) {
+    console.error("Error creating order:", err);
+    throw err;
+  }
+}
+
+async function getOrderByStripeSessionId(sessionId) {
+  try {
+    const database = await getDB();
+    const order = await database.collection(ORDERS_COLLECTION).findOne({ stripeSessionId: sessionId });
+    return order ? formatOrder(order) : null;
+  } catch (err) {
+    console.error("Error getting order by session:", err);
+    throw err;
+  }
+}
+
+async function getOrderById(id) {
+  try {
+    const database = await getDB();
+    const { ObjectId } = require("mongodb");
+    if (!ObjectId.isValid(id) || String(id).length !== 24) {
+      return null;
+    }
+    const order = await database.collection(ORDERS_COLLECTION).findOne({ _id: new ObjectId(id) });
+    return order ? formatOrder(order) : null;
+  } catch (err) {
+    console.error("Error getting order by ID:", err);
+    throw err;
+  }
+}
+
+// List orders newest first, filtered by status and creation date range
+async function getOrders({ status, from, to, page = 1, limit = 20 } = {}) {
+  try {
+    const database = await getDB();
+    const collection = database.collection(ORDERS_COLLECTION);
+
+    const query = {};
+    if (status) {
+      const statuses = String(status).split(",").map(s => s.trim()).filter(Boolean);
+      query.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+    }
+    if (from || to) {
+      query.createdAt = buildDateRange(from, to);
+    }
+
+    const [orders, total] = await Promise.all([
+      collection.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      collection.countDocuments(query)
+    ]);
+
+    return { orders: orders.map(formatOrder), total };
+  } catch (err) {
+    console.error("Error getting orders:", err);
+    throw err;
+  }
+}
+
+// Move an order to a new status and record it in the history. When `fromStatuses`
+// is given the update only applies while the order is still in one of them, so
+// concurrent or repeated updates can't apply the same transition twice.
+async function transitionOrder(query, fromStatuses, status, note, updates = {}) {
+  try {
+    const database = await getDB();
+    const collection = database.collection(ORDERS_COLLECTION);
+    const now = new Date().toISOString();
+
+    const filter = { ...query };
+    if (fromStatuses) {
+      filter.status = { $in: fromStatuses };
+    }
+
+    const result = await collection.findOneAndUpdate(
+      filter,
+      {
+        $set: { ...updates, status, updatedAt: now },
+        $push: { statusHistory: { status, note: note || "", at: now } }
+      },
+      { returnDocument: "after" }
+    );
+
+    return result ? formatOrder(result) : null;
+  } catch (err) {
+    console.error("Error updating order status:", err);
+    throw err;
+  }
+}
+
+// Add a history entry (and optional field updates) without changing the status
+async function appendOrderHistory(query, note, updates = {}) {
+  try {
+    const database = await getDB();
+    const collection = database.collection(ORDERS_COLLECTION);
+    const now = new Date().toISOString();
+
+    const order = await collection.findOne(query);
+    if (!order) {
+      return null;
+    }
+
+    const result = await collection.findOneAndUpdate(
+      { _id: order._id },
+      {
+        $set: { ...updates, updatedAt: now },
+        $push: { statusHistory: { status: order.status, note, at: now } }
+      },
+      { returnDocument: "after" }
+    );
+
+    return result ? formatOrder(result) : null;
+  } catch (err) {
+    console.error("Error updating order history:", err);
+    throw err;
+  }
+}
+
+// Stripe webhook deduplication: returns false if the event was already recorded
+async function recordStripeEvent(eventId, type) {
+  try {
+    const database = await getDB();
+    await database.collection(STRIPE_EVENTS_COLLECTION).insertOne({
+      _id: eventId,
+      type,
+      receivedAt: new Date().toISOString()
+    });
+    return true;
+  } catch (err) {
+    if (err.code === 11000) {
+      return false;
+    }
+    console.error("Error recording Stripe event:", err);
+    throw err;
+  }
+}
+
+// Forget an event whose handling failed so Stripe's retry is processed again
+async function forgetStripeEvent(eventId) {
+  try {
+    const database = await getDB();
+    await database.collection(STRIPE_EVENTS_COLLECTION).deleteOne({ _id: eventId });
+  } catch (err) {
+    console.error("Error removing Stripe event:", err);
+  }
+}
+
+// Admin Users Collection Operations
+function formatAdminUser(user) {
+  const { passwordHash, ...rest } = user;
+  return {
+    ...rest,
+    id: user._id.toString(),
+    _id: undefined
+  };
+}
+
+function toAdminUserObjectId(id) {
+  const { ObjectId } = require("mongodb");
+  return ObjectId.isValid(id) && String(id).length === 24 ? new ObjectId(id) : null;
+}
+
+async function countAdminUsers() {
+  const database = await getDB();
+  return database.collection(ADMIN_USERS_COLLECTION).countDocuments({});
+}
+
+// Includes the password hash - only for verifying logins, never send it to clients
+async function getAdminCredentials(email) {
+  try {
+    const database = await getDB();
+    const user = await database.collection(ADMIN_USERS_COLLECTION).findOne({ email: String(email).trim().toLowerCase() });
+    return user ? { ...formatAdminUser(user), passwordHash: user.passwordHash } : null;
+  } catch (err) {
+    console.error("Error getting admin credentials:", err);
+    throw err;
+  }
+}
+
+async function getAdminPasswordHash(id) {
+  const _id = toAdminUserObjectId(id);
+  if (!_id) {
+    return null;
+  }
+  const database = await getDB();
+  const user = await database.collection(ADMIN_USERS_COLLECTION).findOne({ _id }, { projection: { passwordHash: 1 } });
+  return user ? user.passwordHash : null;
+}
+
+async function getAdminUserById(id) {
+  try {
+    const _id = toAdminUserObjectId(id);
+    if (!_id) {
+      return null;
+    }
+    const database = await getDB();
+    const user = await database.collection(ADMIN_USERS_COLLECTION).findOne({ _id });
+    return user ? formatAdminUser(user) : null;
+  } catch (err) {
+    console.error("Error getting admin user:", err);
+    throw err;
+  }
+}
+
+async function listAdminUsers() {
+  try {
+    const database = await getDB();
+    const users = await database.collection(ADMIN_USERS_COLLECTION).find({}).sort({ createdAt: 1 }).toArray();
+    return users.map(formatAdminUser);
+  } catch (err) {
+    console.error("Error listing admin users:", err);
+    throw err;
+  }
+}
+
+// Throws a duplicate key error (code 11000) when the email is taken
+async function createAdminUser({ email, name, passwordHash, ...rest }) {
+  try {
+    const database = await getDB();
+    const now = new Date().toISOString();
+    const user = {
+      ...rest,
+      email: String(email).trim().toLowerCase(),
+      name: name || "",
+      passwordHash,
+      disabled: false,
+      createdAt: now,
+      updatedAt: now,
+      lastLoginAt: null
+    };
+    const result = await database.collection(ADMIN_USERS_COLLECTION).insertOne(user);
+    return formatAdminUser({ ...user, _id: result.insertedId });
+  } catch (err) {
+    if (err.code !== 11000) {
+      console.error("Error creating admin user:", err);
+    }
+    throw err;
+  }
+}
+
+async function updateAdminUser(id, updates) {
+  try {
+    const _id = toAdminUserObjectId(id);
+    if (!_id) {
+      return null;
+    }
+    const database = await getDB();
+    const result = await database.collection(ADMIN_USERS_COLLECTION).findOneAndUpdate(
+      { _id },
+      { $set: { ...updates, updatedAt: new Date().toISOString() } },
+      { returnDocument: "after" }
+    );
+    return result ? formatAdminUser(result) : null;
+  } catch (err) {
+    console.error("Error updating admin user:", err);
+    throw err;
+  }
+}
+
+// Admin Sessions (one per issued token, so tokens can be revoked)
+async function createAdminSession({ sessionId, userId, expiresAt, ip, userAgent }) {
+  try {
+    const database = await getDB();
+    await database.collection(ADMIN_SESSIONS_COLLECTION).insertOne({
+      _id: sessionId,
+      userId,
+      ip: ip || null,
+      userAgent: userAgent || null,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(expiresAt),
+      revokedAt: null
+    });
+    return sessionId;
+  } catch (err) {
+    console.error("Error creating admin session:", err);
+    throw err;
+  }
+}
+
+async function getActiveAdminSession(sessionId) {
+  const database = await getDB();
+  return database.collection(ADMIN_SESSIONS_COLLECTION).findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+}
+
+async function revokeAdminSession(sessionId) {
+  const database = await getDB();
+  const result = await database.collection(ADMIN_SESSIONS_COLLECTION).updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date().toISOString() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Revoke every session of a user, optionally keeping the current one
+async function revokeAdminSessions(userId, exceptSessionId = null) {
+  const database = await getDB();
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  const result = await database.collection(ADMIN_SESSIONS_COLLECTION).updateMany(
+    query,
+    { $set: { revokedAt: new Date().toISOString() } }
+  );
+  return result.modifiedCount;
+}
+
+// Password Resets (only a hash of the token is stored)
+async function createPasswordReset({ tokenHash, userId, createdBy, expiresAt }) {
+  try {
+    const database = await getDB();
+    await database.collection(PASSWORD_RESETS_COLLECTION).insertOne({
+      _id: tokenHash,
+      userId,
+      createdBy: createdBy || null,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(expiresAt),
+      usedAt: null
+    });
+  } catch (err) {
+    console.error("Error creating password reset:", err);
+    throw err;
+  }
+}
+
+// Marks a reset token as used and returns its user id, or null if invalid/expired/used
+async function consumePasswordReset(tokenHash) {
+  try {
+    const database = await getDB();
+    const reset = await database.collection(PASSWORD_RESETS_COLLECTION).findOneAndUpdate(
+      { _id: tokenHash, usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date().toISOString() } }
+    );
+    return reset ? reset.userId : null;
+  } catch (err) {
+    console.error("Error consuming password reset:", err);
+    throw err;
+  }
+}
+
+// Audit Log Operations
+
+// Audit entries must never break the request that caused them, so errors are only logged
+async function recordAuditEntry(entry) {
+  try {
+    const database = await getDB();
+    await database.collection(AUDIT_COLLECTION).insertOne({ ...entry, at: entry.at || new Date().toISOString() });
+  } catch (err) {
+    console.error("⚠️ Failed to write audit entry:", entry.action, err.message);
+  }
+}
+
+// List audit entries newest first. `actor` matches the actor's id or email.
+async function getAuditEntries({ actor, targetType, targetId, action, from, to, page = 1, limit = 50 } = {}) {
+  try {
+    const database = await getDB();
+    const collection = database.collection(AUDIT_COLLECTION);
+
+    const query = {};
+    if (actor) {
+      query.$or = [{ "actor.id": String(actor) }, { "actor.email": String(actor).toLowerCase() }];
+    }
+    if (targetType) {
+      query.targetType = String(targetType);
+    }
+    if (targetId) {
+      query.targetId = String(targetId);
+    }
+    if (action) {
+      query.action = String(action);
+    }
+    if (from || to) {
+      query.at = buildDateRange(from, to);
+    }
+
+    const [entries, total] = await Promise.all([
+      collection.find(query).sort({ at: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      collection.countDocuments(query)
+    ]);
+
+    return {
+      entries: entries.map(e => ({ ...e, id: e._id.toString(), _id: undefined })),
+      total
+    };
+  } catch (err) {
+    console.error("Error getting audit entries:", err);
+    throw err;
   }
 }
 
@@ -331,11 +2574,99 @@ module.exports = {
   connectDB,
   getDB,
   getProducts,
+  getProductsForExport,
+  PRODUCT_SORTS,
+  PRODUCT_STATUSES,
+  getEffectiveStatus,
+  isProductPublic,
+  queryProducts,
   getProductById,
+  findProductByIdOrSlug,
+  normalizeProductId,
   createProduct,
   updateProduct,
   deleteProduct,
+  migratePublishState,
+  migrateProductIds,
+  TRASH_RETENTION_DAYS,
+  getTrashedProducts,
+  restoreProductFromTrash,
+  purgeProduct,
+  getExpiredTrashIds,
+  getProductRevisions,
+  getProductRevision,
+  restoreProductRevision,
+  getDeletedProductRevision,
+  findUnreferencedImages,
+  pruneProductRevisions,
+  reserveStock,
+  commitReservation,
+  releaseReservation,
+  recommitReservation,
+  releaseExpiredReservations,
+  saveShippingQuote,
+  getShippingQuote,
+  getCategories,
+  getCategory,
+  getCategorySubtreeIds,
+  findUnknownCategoryIds,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  reorderCategories,
+  getProductCollections,
+  getProductCollection,
+  createProductCollection,
+  updateProductCollection,
+  addProductToCollection,
+  removeProductFromCollection,
+  deleteProductCollection,
+  getProductsByIds,
+  findTakenSkus,
+  getPromotions,
+  getPromotion,
+  getPromotionByCode,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  claimPromotion,
+  attachPromotionRedemption,
+  getPromotionRedemptions,
+  getReleasedRedemptionCoupons,
+  markRedemptionCouponDeleted,
+  recordRateLimitHit,
+  getCachedTranslation,
+  saveCachedTranslation,
   getStaticProducts,
-  saveStaticProducts,
+  importStaticProducts,
+  toggleStaticProduct,
+  ORDER_STATUS_TRANSITIONS,
+  ADMIN_ORDER_STATUS_TRANSITIONS,
+  ADMIN_ORDER_STATUSES,
+  canTransitionOrder,
+  getOrderSourceStatuses,
+  createOrder,
+  getOrderById,
+  getOrders,
+  getOrderByStripeSessionId,
+  transitionOrder,
+  appendOrderHistory,
+  recordStripeEvent,
+  forgetStripeEvent,
+  countAdminUsers,
+  getAdminCredentials,
+  getAdminPasswordHash,
+  getAdminUserById,
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+  createAdminSession,
+  getActiveAdminSession,
+  revokeAdminSession,
+  revokeAdminSessions,
+  createPasswordReset,
+  consumePasswordReset,
+  recordAuditEntry,
+  getAuditEntries,
   closeDB
 };
@@ -0,0 +1,99 @@
+// Product Image Processing
+//
+// Uploads are auto-rotated, stripped of EXIF / GPS metadata and capped in size, then
+// stored with responsive AVIF and WebP variants. Products keep one object per image:
+//   { url, width, height, format, dominantColor, alt: { <lang>: text }, variants: [{ url, width, height, format }] }
+// Images stored before this were plain URL strings; normalizeImage reads both.
+require("dotenv").config();
+
+const IMAGE_MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION) || 2400;
+const RESPONSIVE_WIDTHS = [320, 640, 1024, 1600];
+const VARIANT_FORMATS = ["avif", "webp"];
+
+const ENCODER_OPTIONS = {
+  jpeg: { quality: 85, mozjpeg: true },
+  png: { compressionLevel: 9 },
+  webp: { quality: 80 },
+  avif: { quality: 50, effort: 4 }
+};
+
+// An image as an object, whether it was stored as a URL string or with metadata
+function normalizeImage(image) {
+  if (typeof image === "string") {
+    return { url: image, alt: {}, variants: [] };
+  }
+  if (!image || typeof image !== "object") {
+    return null;
+  }
+  return { ...image, alt: image.alt || {}, variants: image.variants || [] };
+}
+
+// Main URL of an image (string or object)
+function getImageUrl(image) {
+  const normalized = normalizeImage(image);
+  return normalized ? normalized.url : null;
+}
+
+// Every stored file of an image: the main URL and its variants
+function getImageFileUrls(image) {
+  const normalized = normalizeImage(image);
+  if (!normalized || !normalized.url) {
+    return [];
+  }
+  return [normalized.url, ...normalized.variants.map(variant => variant.url).filter(Boolean)];
+}
+
+function toHexColor({ r, g, b }) {
+  return `#${[r, g, b].map(c => c.toString(16).padStart(2, "0")).join("")}`;
+}
+
+// Normalize an uploaded image and render its variants. Returns
+// { main: { buffer, format, width, height }, variants: [...same], dominantColor }.
+// Throws with status 400 when the file isn't a readable image.
+async function processImage(buffer) {
+  const sharp = require("sharp");
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw Object.assign(new Error(`Not a readable image: ${err.message}`), { status: 400 });
+  }
+
+  // rotate() applies the EXIF orientation; sharp drops the metadata on output
+  const format = metadata.hasAlpha ? "png" : "jpeg";
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ width: IMAGE_MAX_DIMENSION, height: IMAGE_MAX_DIMENSION, fit: "inside", withoutEnlargement: true })
+    .toFormat(format, ENCODER_OPTIONS[format])
+    .toBuffer({ resolveWithObject: true });
+
+  const { dominant } = await sharp(data).stats();
+
+  // Smaller sizes below the main width, plus the full size in each modern format
+  const widths = [...RESPONSIVE_WIDTHS.filter(width => width < info.width), info.width];
+  const variants = [];
+  for (const width of widths) {
+    for (const variantFormat of VARIANT_FORMATS) {
+      const variant = await sharp(data)
+        .resize({ width })
+        .toFormat(variantFormat, ENCODER_OPTIONS[variantFormat])
+        .toBuffer({ resolveWithObject: true });
+      variants.push({ buffer: variant.data, format: variantFormat, width: variant.info.width, height: variant.info.height });
+    }
+  }
+
+  return {
+    main: { buffer: data, format, width: info.width, height: info.height },
+    variants,
+    dominantColor: toHexColor(dominant)
+  };
+}
+
+module.exports = {
+  IMAGE_MAX_DIMENSION,
+  normalizeImage,
+  getImageUrl,
+  getImageFileUrls,
+  processImage
+};
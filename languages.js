@@ -0,0 +1,51 @@
+// Languages the storefront is translated into (product translations are keyed by these codes)
+require("dotenv").config();
+
+const SUPPORTED_LANGUAGES = ["en", "sl", "de", "it", "sr"];
+const DEFAULT_LANGUAGE = "en";
+
+// Languages every product must have a name and description in (REQUIRED_LANGUAGES=en,sl)
+const REQUIRED_LANGUAGES = (process.env.REQUIRED_LANGUAGES || DEFAULT_LANGUAGE)
+  .split(",")
+  .map(code => code.trim().toLowerCase())
+  .filter(Boolean)
+  .filter(code => {
+    if (!SUPPORTED_LANGUAGES.includes(code)) {
+      console.warn(`⚠️ Ignoring unsupported language in REQUIRED_LANGUAGES: ${code}`);
+      return false;
+    }
+    return true;
+  });
+
+// Returns the code if it's a supported language, otherwise null
+function normalizeLanguage(lang) {
+  const code = String(lang || "").trim().toLowerCase();
+  return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+}
+
+// Pick the translations entry for a language, falling back to the default language
+// and then to any language that has a name
+function pickTranslation(product, lang) {
+  const translations = product.translations || {};
+  const candidates = [lang, DEFAULT_LANGUAGE, ...Object.keys(translations)];
+  for (const code of candidates) {
+    if (code && translations[code] && translations[code].name) {
+      return { lang: code, ...translations[code] };
+    }
+  }
+  return null;
+}
+
+function getLocalizedName(product, lang) {
+  const translation = pickTranslation(product, lang);
+  return translation ? translation.name : (product.name || `Product ${product.id}`);
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  REQUIRED_LANGUAGES,
+  normalizeLanguage,
+  pickTranslation,
+  getLocalizedName
+};
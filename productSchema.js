@@ -0,0 +1,343 @@
+// Product Schema and Validation
+//
+// The schema describes a stored product in JSON Schema terms, so the admin UI can
+// build its forms from GET /api/schema/product. validateProduct checks products
+// against it and returns errors with field paths ("translations.en.name", "specs[2].label").
+const { SUPPORTED_LANGUAGES, REQUIRED_LANGUAGES } = require("./languages");
+const { PRODUCT_STATUSES } = require("./db");
+const { getImageUrl } = require("./images");
+
+const SUPPORTED_CURRENCIES = ["eur"];
+
+const positiveNumber = { type: "number", exclusiveMinimum: 0 };
+
+const imageFileSchema = {
+  type: "object",
+  required: ["url"],
+  properties: {
+    url: { type: "string", minLength: 1 },
+    width: { type: "integer", minimum: 1 },
+    height: { type: "integer", minimum: 1 },
+    format: { type: "string" }
+  }
+};
+
+// Images are stored with metadata; plain URL strings are older products
+const imageSchema = {
+  type: ["object", "string"],
+  minLength: 1,
+  required: ["url"],
+  properties: {
+    ...imageFileSchema.properties,
+    dominantColor: { type: "string", description: "Hex color for placeholders while loading" },
+    alt: {
+      type: "object",
+      description: "Alt text per language",
+      additionalProperties: false,
+      properties: Object.fromEntries(SUPPORTED_LANGUAGES.map(lang => [lang, { type: "string", maxLength: 300 }]))
+    },
+    variants: { type: "array", description: "Resized AVIF / WebP renditions", items: imageFileSchema }
+  }
+};
+
+const translationSchema = {
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: 200 },
+    description: { type: "string", maxLength: 10000 }
+  }
+};
+
+const requiredTranslationSchema = {
+  ...translationSchema,
+  required: ["name", "description"],
+  properties: {
+    ...translationSchema.properties,
+    description: { ...translationSchema.properties.description, minLength: 1 }
+  }
+};
+
+function buildProductSchema() {
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    title: "Product",
+    type: "object",
+    required: ["translations", "specs", "images"],
+    properties: {
+      translations: {
+        type: "object",
+        description: "Name and description per language",
+        required: REQUIRED_LANGUAGES,
+        additionalProperties: false,
+        properties: Object.fromEntries(SUPPORTED_LANGUAGES.map(lang => [
+          lang,
+          REQUIRED_LANGUAGES.includes(lang) ? requiredTranslationSchema : translationSchema
+        ]))
+      },
+      translationMeta: {
+        type: "object",
+        readOnly: true,
+        description: "Per language and field: whether a person or machine translation wrote it"
+      },
+      specs: {
+        type: "array",
+        maxItems: 100,
+        items: {
+          type: "object",
+          required: ["label", "value"],
+          properties: {
+            label: { type: "string", minLength: 1, maxLength: 100 },
+            value: { type: "string", maxLength: 500 }
+          }
+        }
+      },
+      images: {
+        type: "array",
+        minItems: 1,
+        items: imageSchema
+      },
+      categories: {
+        type: "array",
+        description: "Category ids",
+        items: { type: "string", minLength: 1 }
+      },
+      price: { type: "number", minimum: 0, description: "Unit price in the product currency" },
+      currency: { type: "string", enum: SUPPORTED_CURRENCIES, default: SUPPORTED_CURRENCIES[0] },
+      weight: { ...positiveNumber, description: "Kilograms" },
+      dimensions: {
+        type: "object",
+        description: "Centimetres",
+        required: ["length", "width", "height"],
+        properties: {
+          length: positiveNumber,
+          width: positiveNumber,
+          height: positiveNumber
+        }
+      },
+      stock: { type: ["integer", "null"], minimum: 0, description: "Missing or null means not stock-tracked" },
+      options: {
+        type: "array",
+        description: "Option axes the variants are picked by, e.g. size and color",
+        maxItems: 5,
+        items: {
+          type: "object",
+          required: ["name", "values"],
+          properties: {
+            name: { type: "string", minLength: 1, maxLength: 50 },
+            values: { type: "array", minItems: 1, maxItems: 100, items: { type: "string", minLength: 1, maxLength: 100 } }
+          }
+        }
+      },
+      variants: {
+        type: "array",
+        maxItems: 500,
+        items: {
+          type: "object",
+          required: ["id"],
+          properties: {
+            id: { type: "string", minLength: 1, maxLength: 100 },
+            sku: { type: "string", minLength: 1, maxLength: 64 },
+            name: { type: "string" },
+            options: {
+              type: "object",
+              description: "One value per option axis, keyed by the option name",
+              additionalProperties: { type: "string", minLength: 1 }
+            },
+            price: { type: ["number", "null"], minimum: 0, description: "Overrides the product price" },
+            stock: { type: ["integer", "null"], minimum: 0 },
+            images: {
+              type: "array",
+              description: "Subset of the product images shown for this variant",
+              items: { type: "string", minLength: 1 }
+            }
+          }
+        }
+      },
+      status: { type: "string", enum: PRODUCT_STATUSES, default: "published" },
+      publishAt: { type: ["string", "null"], format: "date-time" },
+      unpublishAt: { type: ["string", "null"], format: "date-time" }
+    }
+  };
+}
+
+const PRODUCT_SCHEMA = buildProductSchema();
+
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.includes(actual) || (actual === "integer" && types.includes("number"));
+}
+
+function joinPath(path, key) {
+  if (typeof key === "number") {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+// Check a value against a schema node. Supports the keywords used above.
+function validateValue(schema, value, path, errors) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = [].concat(schema.type).join(" or ");
+    errors.push({ path, message: `must be ${/^[aeiou]/.test(expected) ? "an" : "a"} ${expected}` });
+    return;
+  }
+  if (value === null) {
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(", ")}` });
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? "is required" : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.format === "date-time" && Number.isNaN(Date.parse(value))) {
+      errors.push({ path, message: "must be a date" });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) {
+      errors.push({ path, message: "must be a number" });
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be ${schema.minimum} or more` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be more than ${schema.exclusiveMinimum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(schema.items, item, joinPath(path, index), errors));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: "is required" });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        if (child !== undefined) {
+          validateValue(properties[key], child, joinPath(path, key), errors);
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: "is not allowed" });
+      } else if (schema.additionalProperties && child !== undefined) {
+        validateValue(schema.additionalProperties, child, joinPath(path, key), errors);
+      }
+    }
+  }
+}
+
+// Checks between variants, options and images that the schema can't express.
+// Only runs on a product whose shape already passed the schema.
+function validateVariants(product, errors) {
+  const options = product.options || [];
+  const variants = product.variants || [];
+
+  const optionNames = options.map(option => option.name.trim().toLowerCase());
+  options.forEach((option, i) => {
+    if (optionNames.indexOf(optionNames[i]) !== i) {
+      errors.push({ path: `options[${i}].name`, message: `duplicates options[${optionNames.indexOf(optionNames[i])}]` });
+    }
+    if (new Set(option.values).size !== option.values.length) {
+      errors.push({ path: `options[${i}].values`, message: "must not contain duplicates" });
+    }
+  });
+
+  const images = (product.images || []).map(getImageUrl);
+  const seen = { id: new Map(), sku: new Map(), combination: new Map() };
+  const remember = (kind, key, i, path) => {
+    if (seen[kind].has(key)) {
+      errors.push({ path, message: `duplicates variants[${seen[kind].get(key)}]` });
+    } else {
+      seen[kind].set(key, i);
+    }
+  };
+
+  variants.forEach((variant, i) => {
+    const path = `variants[${i}]`;
+    remember("id", variant.id, i, `${path}.id`);
+    if (variant.sku !== undefined) {
+      remember("sku", variant.sku.trim(), i, `${path}.sku`);
+    }
+
+    if (options.length > 0) {
+      const values = variant.options || {};
+      for (const key of Object.keys(values)) {
+        if (!options.some(option => option.name === key)) {
+          errors.push({ path: `${path}.options.${key}`, message: "is not an option of this product" });
+        }
+      }
+      for (const option of options) {
+        const value = values[option.name];
+        if (value === undefined) {
+          errors.push({ path: `${path}.options.${option.name}`, message: "is required" });
+        } else if (!option.values.includes(value)) {
+          errors.push({ path: `${path}.options.${option.name}`, message: `must be one of: ${option.values.join(", ")}` });
+        }
+      }
+      remember("combination", JSON.stringify(options.map(option => values[option.name])), i, `${path}.options`);
+    } else if (variant.options && Object.keys(variant.options).length > 0) {
+      errors.push({ path: `${path}.options`, message: "needs the product options to be defined" });
+    }
+
+    (variant.images || []).forEach((image, j) => {
+      if (!images.includes(image)) {
+        errors.push({ path: `${path}.images[${j}]`, message: "is not one of the product images" });
+      }
+    });
+  });
+}
+
+// Returns a list of { path, message } problems (empty when the product is valid)
+function validateProduct(product) {
+  const errors = [];
+  validateValue(PRODUCT_SCHEMA, product, "", errors);
+  if (errors.length === 0) {
+    validateVariants(product, errors);
+  }
+  return errors.map(error => ({ ...error, path: error.path || "product" }));
+}
+
+// One-line summary of validation errors ("translations.en.name is required; price must be 0 or more")
+function formatValidationErrors(errors) {
+  return errors.map(error => `${error.path} ${error.message}`).join("; ");
+}
+
+module.exports = {
+  PRODUCT_SCHEMA,
+  SUPPORTED_CURRENCIES,
+  validateProduct,
+  formatValidationErrors
+};
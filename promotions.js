@@ -0,0 +1,188 @@
+// Promotions (discount codes)
+//
+// A promotion is { code, type, value, minOrderValue, startsAt, endsAt, usageLimit,
+// productIds, categoryIds, active, description }. Amounts are in the checkout
+// currency (euros) like product prices; evaluatePromotion works in cents like cart lines.
+//   percentage     value is a percent off the eligible lines
+//   fixed          value is an amount off the eligible lines (never more than they cost)
+//   free_shipping  the selected shipping rate is free
+// With productIds / categoryIds only matching lines are eligible; without, the whole cart is.
+
+const PROMOTION_TYPES = ["percentage", "fixed", "free_shipping"];
+const PROMOTION_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+// Unknown, inactive, not yet started, expired and used-up codes all get this
+// message, so shoppers can't probe which codes exist
+const INVALID_PROMOTION_CODE = "This code is not valid";
+
+function normalizePromotionCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+function parseAmount(value) {
+  const number = typeof value === "string" ? parseFloat(value.replace(",", ".")) : value;
+  return typeof number === "number" && Number.isFinite(number) ? number : NaN;
+}
+
+function parseDate(value, path, errors) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    errors.push({ path, message: "must be a date" });
+    return null;
+  }
+  return new Date(time).toISOString();
+}
+
+function parseIdList(value, path, errors) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    errors.push({ path, message: "must be a list of ids" });
+    return [];
+  }
+  return [...new Set(value.map(String))];
+}
+
+// Validate a promotion from the admin API. `current` is the stored promotion for
+// partial updates. Returns { promotion } or { errors: [{ path, message }] }.
+function parsePromotionInput(body, current = {}) {
+  const input = { ...current, ...body };
+  const errors = [];
+
+  const code = normalizePromotionCode(input.code);
+  if (!PROMOTION_CODE_PATTERN.test(code)) {
+    errors.push({ path: "code", message: "must be 3-32 letters, digits, dashes or underscores" });
+  }
+
+  const type = input.type;
+  if (!PROMOTION_TYPES.includes(type)) {
+    errors.push({ path: "type", message: `must be one of: ${PROMOTION_TYPES.join(", ")}` });
+  }
+
+  let value = null;
+  if (type === "percentage" || type === "fixed") {
+    value = parseAmount(input.value);
+    if (Number.isNaN(value) || value <= 0) {
+      errors.push({ path: "value", message: "must be more than 0" });
+    } else if (type === "percentage" && value > 100) {
+      errors.push({ path: "value", message: "must be 100 or less" });
+    }
+  }
+
+  let minOrderValue = null;
+  if (input.minOrderValue !== undefined && input.minOrderValue !== null && input.minOrderValue !== "") {
+    minOrderValue = parseAmount(input.minOrderValue);
+    if (Number.isNaN(minOrderValue) || minOrderValue < 0) {
+      errors.push({ path: "minOrderValue", message: "must be 0 or more" });
+    }
+  }
+
+  const startsAt = parseDate(input.startsAt, "startsAt", errors);
+  const endsAt = parseDate(input.endsAt, "endsAt", errors);
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    errors.push({ path: "endsAt", message: "must be after startsAt" });
+  }
+
+  let usageLimit = null;
+  if (input.usageLimit !== undefined && input.usageLimit !== null && input.usageLimit !== "") {
+    usageLimit = Number(input.usageLimit);
+    if (!Number.isInteger(usageLimit) || usageLimit < 1) {
+      errors.push({ path: "usageLimit", message: "must be a whole number of 1 or more" });
+    }
+  }
+
+  const productIds = parseIdList(input.productIds, "productIds", errors);
+  const categoryIds = parseIdList(input.categoryIds, "categoryIds", errors);
+
+  if (input.active !== undefined && typeof input.active !== "boolean") {
+    errors.push({ path: "active", message: "must be true or false" });
+  }
+  if (input.description !== undefined && input.description !== null && typeof input.description !== "string") {
+    errors.push({ path: "description", message: "must be a string" });
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return {
+    promotion: {
+      code,
+      type,
+      value,
+      minOrderValue,
+      startsAt,
+      endsAt,
+      usageLimit,
+      productIds,
+      categoryIds,
+      active: input.active !== undefined ? input.active : true,
+      description: input.description ? input.description.trim() : null
+    }
+  };
+}
+
+// Why a promotion can't be used right now (null when it can). Usage limits are
+// enforced when the code is claimed at checkout.
+function getPromotionUnavailableReason(promotion, now = new Date()) {
+  if (!promotion || !promotion.active) {
+    return "This code is not valid";
+  }
+  if (promotion.startsAt && now < new Date(promotion.startsAt)) {
+    return "This code is not active yet";
+  }
+  if (promotion.endsAt && now >= new Date(promotion.endsAt)) {
+    return "This code has expired";
+  }
+  if (promotion.usageLimit !== null && promotion.usageLimit !== undefined && promotion.usedCount >= promotion.usageLimit) {
+    return "This code has reached its usage limit";
+  }
+  return null;
+}
+
+// Apply a promotion to priced cart lines ({ productId, categories, unitAmount, quantity }).
+// `categoryIds` is the promotion's categories expanded with their subcategories.
+// Returns { error } or { discount, freeShipping, subtotal, eligibleSubtotal } in cents.
+function evaluatePromotion(promotion, lines, { categoryIds = promotion.categoryIds || [], now = new Date() } = {}) {
+  if (getPromotionUnavailableReason(promotion, now)) {
+    return { error: INVALID_PROMOTION_CODE };
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.unitAmount * line.quantity, 0);
+  if (promotion.minOrderValue && subtotal < Math.round(promotion.minOrderValue * 100)) {
+    return { error: `This code needs an order of at least ${promotion.minOrderValue.toFixed(2)}` };
+  }
+
+  const productIds = (promotion.productIds || []).map(String);
+  const targeted = productIds.length > 0 || (promotion.categoryIds || []).length > 0;
+  const eligible = targeted
+    ? lines.filter(line =>
+      productIds.includes(String(line.productId)) ||
+      (line.categories || []).some(id => categoryIds.includes(String(id))))
+    : lines;
+  if (eligible.length === 0) {
+    return { error: "This code doesn't apply to any product in the cart" };
+  }
+
+  const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.unitAmount * line.quantity, 0);
+  let discount = 0;
+  if (promotion.type === "percentage") {
+    discount = Math.round(eligibleSubtotal * promotion.value / 100);
+  } else if (promotion.type === "fixed") {
+    discount = Math.min(Math.round(promotion.value * 100), eligibleSubtotal);
+  }
+
+  return { discount, freeShipping: promotion.type === "free_shipping", subtotal, eligibleSubtotal };
+}
+
+module.exports = {
+  PROMOTION_TYPES,
+  INVALID_PROMOTION_CODE,
+  normalizePromotionCode,
+  parsePromotionInput,
+  getPromotionUnavailableReason,
+  evaluatePromotion
+};
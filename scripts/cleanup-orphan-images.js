@@ -0,0 +1,20 @@
+// Delete stored image files that no product, trashed product or revision refers to.
+// Usage: npm run cleanup:images [-- --dry-run]
+require("dotenv").config();
+const { closeDB } = require("../db");
+const { findOrphanedFiles, deleteFiles, getStorage } = require("../storage");
+
+(async () => {
+  const dryRun = process.argv.includes("--dry-run");
+  try {
+    const { scanned, orphans } = await findOrphanedFiles();
+    const urls = orphans.map(file => file.url);
+    const deleted = dryRun ? [] : await deleteFiles(urls);
+    console.log(JSON.stringify({ storage: getStorage().name, dryRun, scanned, orphans: urls, deleted: deleted.length }, null, 2));
+  } catch (err) {
+    console.error("❌ Image cleanup failed:", err.message || err);
+    process.exitCode = 1;
+  } finally {
+    await closeDB();
+  }
+})();
@@ -0,0 +1,18 @@
+// One-time migration: give every product a unique numeric id from the counter and
+// per-language slugs, then build the unique indexes on them.
+// Usage: npm run migrate:product-ids [-- --dry-run]
+require("dotenv").config();
+const { migrateProductIds, closeDB } = require("../db");
+
+(async () => {
+  const dryRun = process.argv.includes("--dry-run");
+  try {
+    const summary = await migrateProductIds({ dryRun });
+    console.log(JSON.stringify(summary, null, 2));
+  } catch (err) {
+    console.error("❌ Migration failed:", err.message || err);
+    process.exitCode = 1;
+  } finally {
+    await closeDB();
+  }
+})();
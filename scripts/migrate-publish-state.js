@@ -0,0 +1,18 @@
+// One-time migration: collapse the legacy publish flags (published, isPublished,
+// active, isActive, visible, isVisible, hidden) into the product `status` lifecycle.
+// Usage: npm run migrate:publish-state [-- --dry-run]
+require("dotenv").config();
+const { migratePublishState, closeDB } = require("../db");
+
+(async () => {
+  const dryRun = process.argv.includes("--dry-run");
+  try {
+    const summary = await migratePublishState({ dryRun });
+    console.log(JSON.stringify(summary, null, 2));
+  } catch (err) {
+    console.error("❌ Migration failed:", err.message || err);
+    process.exitCode = 1;
+  } finally {
+    await closeDB();
+  }
+})();
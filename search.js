@@ -0,0 +1,192 @@
+// In-process Product Search Index
+//
+// Products are indexed per language from their translations and spec values.
+// Matching ignores case and diacritics (č → c, ä → a, ß → ss), works in any script
+// (Serbian Cyrillic included) and tolerates small typos, so no external search
+// service is needed.
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require("./languages");
+const { foldText } = require("./text");
+
+// Weight of a match in each field
+const FIELD_WEIGHTS = { name: 5, description: 2, specs: 1 };
+const SNIPPET_RADIUS = 60;
+
+// Split text into { term, start, end } tokens: runs of letters and digits in any
+// script. Terms are folded; start and end are offsets in the original text.
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /[\p{L}\p{M}\p{N}]+/gu;
+  let match;
+  while ((match = pattern.exec(String(text || ""))) !== null) {
+    const term = foldText(match[0]);
+    if (term) {
+      tokens.push({ term, start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return tokens;
+}
+
+// Edit distance where swapping two neighbouring letters counts as one typo,
+// capped at `max` (returns max + 1 when further apart)
+function boundedEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// How many typos a query term may contain
+function allowedTypos(term) {
+  if (term.length >= 8) {
+    return 2;
+  }
+  return term.length >= 4 ? 1 : 0;
+}
+
+// Score how well an indexed token matches a query term (0 = no match)
+function matchScore(queryTerm, token, isLastQueryTerm) {
+  if (token === queryTerm) {
+    return 1;
+  }
+  // The term being typed matches as a prefix
+  if (isLastQueryTerm && queryTerm.length >= 2 && token.startsWith(queryTerm)) {
+    return 0.8;
+  }
+  const typos = allowedTypos(queryTerm);
+  if (typos > 0) {
+    const distance = boundedEditDistance(queryTerm, token, typos);
+    if (distance <= typos) {
+      return 0.6 - distance * 0.1;
+    }
+  }
+  return 0;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Cut a snippet around the matches and wrap them in <mark> (the rest is HTML-escaped)
+function buildSnippet(text, ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const from = Math.max(0, sorted[0].start - SNIPPET_RADIUS);
+  const to = Math.min(text.length, sorted[sorted.length - 1].end + SNIPPET_RADIUS);
+
+  let snippet = from > 0 ? "…" : "";
+  let position = from;
+  for (const range of sorted) {
+    if (range.start < position || range.end > to) {
+      continue;
+    }
+    snippet += escapeHtml(text.slice(position, range.start));
+    snippet += `<mark>${escapeHtml(text.slice(range.start, range.end))}</mark>`;
+    position = range.end;
+  }
+  snippet += escapeHtml(text.slice(position, to));
+  return to < text.length ? `${snippet}…` : snippet;
+}
+
+// Searchable fields of a product for one language
+function getSearchFields(product, lang) {
+  const translations = product.translations || {};
+  const translation = translations[lang] || translations[DEFAULT_LANGUAGE] || {};
+  const specs = Array.isArray(product.specs)
+    ? product.specs.map(spec => [spec.label, spec.value].filter(Boolean).join(": ")).join(" · ")
+    : "";
+  return {
+    name: translation.name || "",
+    description: translation.description || "",
+    specs
+  };
+}
+
+// Build an index over the given products for every supported language
+function createSearchIndex(products) {
+  const documents = {};
+  for (const lang of SUPPORTED_LANGUAGES) {
+    documents[lang] = products.map(product => {
+      const fields = getSearchFields(product, lang);
+      const tokens = {};
+      for (const [field, text] of Object.entries(fields)) {
+        tokens[field] = tokenize(text);
+      }
+      return { product, fields, tokens };
+    });
+  }
+  return { documents, size: products.length, builtAt: Date.now() };
+}
+
+// Search the index. Every query term must match somewhere in the product;
+// results are ranked by field weight and match quality.
+function searchIndex(index, query, { lang = DEFAULT_LANGUAGE, limit = 20 } = {}) {
+  const queryTerms = tokenize(query).map(t => t.term);
+  if (queryTerms.length === 0) {
+    return [];
+  }
+
+  const results = [];
+  for (const doc of index.documents[lang] || []) {
+    let score = 0;
+    let matchedAll = true;
+    const highlights = {};
+
+    queryTerms.forEach((queryTerm, i) => {
+      const isLast = i === queryTerms.length - 1;
+      let best = 0;
+      for (const [field, tokens] of Object.entries(doc.tokens)) {
+        for (const token of tokens) {
+          const quality = matchScore(queryTerm, token.term, isLast);
+          if (quality > 0) {
+            best = Math.max(best, quality * FIELD_WEIGHTS[field]);
+            (highlights[field] = highlights[field] || []).push(token);
+          }
+        }
+      }
+      if (best === 0) {
+        matchedAll = false;
+      }
+      score += best;
+    });
+
+    if (!matchedAll) {
+      continue;
+    }
+
+    const snippets = {};
+    for (const [field, ranges] of Object.entries(highlights)) {
+      snippets[field] = buildSnippet(doc.fields[field], ranges);
+    }
+    results.push({ product: doc.product, score: Math.round(score * 100) / 100, highlights: snippets });
+  }
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+module.exports = {
+  tokenize,
+  createSearchIndex,
+  searchIndex
+};
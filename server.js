@@ -4,475 +4,3907 @@ const cors = require("cors");
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 const multer = require("multer");
 const path = require("path");
-const https = require("https");
-const cloudinary = require("cloudinary").v2;
+const { ObjectId } = require("mongodb");
 const {
   connectDB,
   getProducts,
+  getProductsForExport,
+  PRODUCT_SORTS,
+  PRODUCT_STATUSES,
+  getEffectiveStatus,
+  isProductPublic,
+  queryProducts,
   getProductById,
+  findProductByIdOrSlug,
+  normalizeProductId,
   createProduct,
   updateProduct,
   deleteProduct,
+  TRASH_RETENTION_DAYS,
+  getTrashedProducts,
+  restoreProductFromTrash,
+  purgeProduct,
+  getExpiredTrashIds,
+  getProductRevisions,
+  getProductRevision,
+  restoreProductRevision,
+  getDeletedProductRevision,
+  pruneProductRevisions,
+  reserveStock,
+  commitReservation,
+  releaseReservation,
+  recommitReservation,
+  releaseExpiredReservations,
+  saveShippingQuote,
+  getShippingQuote,
+  getCategories,
+  getCategory,
+  getCategorySubtreeIds,
+  findUnknownCategoryIds,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  reorderCategories,
+  getProductCollections,
+  getProductCollection,
+  createProductCollection,
+  updateProductCollection,
+  addProductToCollection,
+  removeProductFromCollection,
+  deleteProductCollection,
+  getProductsByIds,
+  findTakenSkus,
+  getPromotions,
+  getPromotion,
+  getPromotionByCode,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  claimPromotion,
+  attachPromotionRedemption,
+  getPromotionRedemptions,
+  getReleasedRedemptionCoupons,
+  markRedemptionCouponDeleted,
+  recordRateLimitHit,
   getStaticProducts,
-  saveStaticProducts
+  importStaticProducts,
+  toggleStaticProduct,
+  ADMIN_ORDER_STATUS_TRANSITIONS,
+  ADMIN_ORDER_STATUSES,
+  canTransitionOrder,
+  getOrderSourceStatuses,
+  createOrder,
+  getOrderById,
+  getOrders,
+  getOrderByStripeSessionId,
+  transitionOrder,
+  appendOrderHistory,
+  recordStripeEvent,
+  forgetStripeEvent,
+  countAdminUsers,
+  getAdminCredentials,
+  getAdminPasswordHash,
+  getAdminUserById,
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+  createAdminSession,
+  getActiveAdminSession,
+  revokeAdminSession,
+  revokeAdminSessions,
+  createPasswordReset,
+  consumePasswordReset,
+  recordAuditEntry,
+  getAuditEntries
 } = require("./db");
+const {
+  TOKEN_TTL_HOURS,
+  ROLES,
+  getRole,
+  getPermissions,
+  hasPermission,
+  DUMMY_PASSWORD_HASH,
+  hashPassword,
+  verifyPassword,
+  checkPasswordStrength,
+  signToken,
+  verifyToken,
+  generateSecret,
+  hashSecret
+} = require("./auth");
+const {
+  SHIPPING_COUNTRIES,
+  getShipFromAddress,
+  toShippingAddress,
+  validateShippingAddress,
+  buildParcel,
+  getShippingClient
+} = require("./shipping");
+const {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  REQUIRED_LANGUAGES,
+  normalizeLanguage,
+  pickTranslation
+} = require("./languages");
+const { CHECKOUT_CURRENCY, parsePrice, getAvailableStock, priceCart } = require("./cart");
+const { createSearchIndex, searchIndex } = require("./search");
+const { parseCsvRecords, toCsv } = require("./csv");
+const { PRODUCT_SCHEMA, validateProduct, formatValidationErrors } = require("./productSchema");
+const { translateText, markHumanTranslations, fillMissingTranslations } = require("./translation");
+const { getStorage, deleteFiles, findOrphanedFiles } = require("./storage");
+const { normalizeImage, getImageUrl, getImageFileUrls, processImage } = require("./images");
+const { INVALID_PROMOTION_CODE, normalizePromotionCode, parsePromotionInput, evaluatePromotion } = require("./promotions");
+
+const app = express();
+// Vercel sits in front of the app, so take the client IP from X-Forwarded-For, trusting
+// only the hops our own proxies add (TRUST_PROXY_HOPS, default 1). Anything further
+// left in the header comes from the client and could be forged.
+app.set("trust proxy", parseInt(process.env.TRUST_PROXY_HOPS) || 1);
+app.use(cors({
+  // Pagination details for GET /api/products are sent as headers
+  exposedHeaders: ["X-Total-Count", "X-Page", "X-Limit", "X-Next-Cursor"]
+}));
+app.use(express.json({
+  // Stripe signs the exact request bytes, so keep them for webhook verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith("/api/stripe/webhook")) {
+      req.rawBody = buf;
+    }
+  }
+}));
+
+// Images from the local storage driver are served by this app
+const imageStorage = getStorage();
+if (imageStorage.name === "local") {
+  app.use(imageStorage.urlPath, express.static(imageStorage.directory, { maxAge: "7d", immutable: true }));
+}
+
+// Initialize MongoDB connection on startup (only if MONGODB_URI is set)
+if (process.env.MONGODB_URI) {
+  connectDB().catch(err => {
+    console.error("⚠️ Failed to connect to MongoDB on startup:", err.message);
+    console.error("⚠️ Server will continue, but MongoDB operations will fail until connection is established");
+    // Don't exit - allow server to start even if MongoDB fails (connection will be retried on first use)
+  });
+} else {
+  console.warn("⚠️ MONGODB_URI not set - MongoDB features will not work");
+  console.warn("⚠️ Please set MONGODB_URI in Vercel Settings → Environment Variables");
+}
+
+// Multer in-memory storage (files are handed to the storage driver)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|webp/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error("Only image files are allowed (jpeg, jpg, png, webp)"));
+    }
+  }
+});
+
+// Multer in-memory storage for product import files (CSV or JSON)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|json)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error("Only .csv and .json files can be imported"));
+  }
+});
+
+// Resolve the admin behind a request's bearer token.
+// Returns { admin } or { status, error } when the token is missing or not valid.
+async function resolveAdmin(req) {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.split(" ")[1];
+
+  if (!token) {
+    return { status: 401, error: "Authentication required" };
+  }
+
+  const payload = verifyToken(token);
+  if (!payload) {
+    return { status: 401, error: "Invalid or expired token" };
+  }
+
+  const session = await getActiveAdminSession(payload.sid);
+  if (!session) {
+    return { status: 401, error: "Session has ended, please log in again" };
+  }
+
+  const user = await getAdminUserById(session.userId);
+  if (!user || user.disabled) {
+    return { status: 401, error: "Account is disabled" };
+  }
+
+  return { admin: { ...user, role: getRole(user), sessionId: session._id } };
+}
+
+// Authentication middleware: verifies the signed token and that its session is still active
+const authenticate = async (req, res, next) => {
+  try {
+    const { admin, status, error } = await resolveAdmin(req);
+    if (!admin) {
+      return res.status(status).json({ error });
+    }
+    req.admin = admin;
+    next();
+  } catch (err) {
+    console.error("Authentication error:", err);
+    res.status(500).json({ error: "Authentication failed", details: err.message });
+  }
+};
+
+// For public routes that show more to admins: sets req.admin when a valid token
+// is sent, and otherwise carries on as an anonymous request
+const optionalAuthenticate = async (req, res, next) => {
+  if (req.headers.authorization) {
+    try {
+      const { admin } = await resolveAdmin(req);
+      req.admin = admin || null;
+    } catch (err) {
+      console.error("Authentication error:", err);
+    }
+  }
+  next();
+};
+
+// Top-level fields that differ between two versions of a document ({ field: { before, after } })
+function diffFields(before, after) {
+  const ignored = ["_id", "updatedAt"];
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (ignored.includes(key)) {
+      continue;
+    }
+    const oldValue = before ? before[key] : undefined;
+    const newValue = after ? after[key] : undefined;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[key] = { before: oldValue === undefined ? null : oldValue, after: newValue === undefined ? null : newValue };
+    }
+  }
+  return changes;
+}
+
+// Record an admin mutation in the audit log
+async function audit(req, action, targetType, targetId, before, after) {
+  await recordAuditEntry({
+    actor: req.admin ? { id: req.admin.id, email: req.admin.email, role: req.admin.role } : null,
+    action,
+    targetType,
+    targetId: targetId !== undefined && targetId !== null ? String(targetId) : null,
+    changes: diffFields(before, after),
+    ip: req.ip,
+    userAgent: req.headers["user-agent"] || null
+  });
+}
+
+function sendForbidden(res, permission) {
+  return res.status(403).json({ error: `Missing permission: ${permission}`, permission });
+}
+
+// Permission check, used after authenticate. With several permissions any one of them is enough.
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (permissions.some(permission => hasPermission(req.admin, permission))) {
+    return next();
+  }
+  return sendForbidden(res, permissions.join(" or "));
+};
+
+// Normalize uploaded files before anything is stored. Returns { processed } or
+// { errors } (as { path, message }) when a file isn't a readable image.
+async function processUploads(files) {
+  const processed = [];
+  const errors = [];
+  for (let i = 0; i < files.length; i++) {
+    try {
+      processed.push(await processImage(files[i].buffer));
+    } catch (err) {
+      if (err.status !== 400) {
+        throw err;
+      }
+      errors.push({ path: `images[${i}]`, message: `${files[i].originalname}: ${err.message}` });
+    }
+  }
+  return errors.length > 0 ? { errors } : { processed };
+}
+
+// Store processed images and their variants; returns the image objects kept on the
+// product. When a file fails to upload, the files stored so far are deleted again.
+async function uploadImages(processedImages) {
+  const storage = getStorage();
+  const storedUrls = [];
+  const store = async file => {
+    const { url } = await storage.upload(file.buffer, { filename: `image.${file.format === "jpeg" ? "jpg" : file.format}` });
+    storedUrls.push(url);
+    return { url, width: file.width, height: file.height, format: file.format };
+  };
+
+  try {
+    const images = [];
+    for (const processed of processedImages) {
+      const main = await store(processed.main);
+      const variants = [];
+      for (const variant of processed.variants) {
+        variants.push(await store(variant));
+      }
+      images.push({ ...main, dominantColor: processed.dominantColor, alt: {}, variants });
+    }
+    return images;
+  } catch (err) {
+    console.error(`❌ Image upload failed, removing ${storedUrls.length} file(s) stored for this request`);
+    await deleteFiles(storedUrls);
+    throw err;
+  }
+}
+
+// Roll back uploads whose product was never saved
+async function discardUploadedImages(images) {
+  if (images && images.length > 0) {
+    await deleteFiles(images.flatMap(getImageFileUrls));
+  }
+}
+
+// Images kept in an update (existingImages): entries are URLs or image objects and
+// are matched to the stored images by URL, so their metadata is kept. Only `alt`
+// can be changed this way.
+function resolveExistingImages(entries, product) {
+  if (!Array.isArray(entries)) {
+    return entries;
+  }
+  const stored = new Map((product.images || []).map(image => [getImageUrl(image), image]));
+  return entries.map(entry => {
+    const current = stored.get(getImageUrl(entry));
+    if (!current) {
+      return entry;
+    }
+    if (entry && typeof entry === "object" && entry.alt !== undefined) {
+      return { ...normalizeImage(current), alt: entry.alt };
+    }
+    return current;
+  });
+}
+
+// Trim a product's revision history and delete images nothing refers to anymore
+async function pruneRevisionsAndImages(productId) {
+  const unreferenced = await pruneProductRevisions(productId);
+  if (unreferenced.length > 0) {
+    await deleteFiles(unreferenced);
+  }
+}
+
+// Stripe won't expire a session sooner than 30 minutes after it's created; the margin
+// covers the time spent reserving stock before the session is. Stock stays reserved until then.
+const CHECKOUT_SESSION_MINUTES = 35;
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 3;
+
+// Parse a weight (kg) or length (cm); returns undefined when not provided and NaN when invalid
+function parseMeasurement(value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    return NaN;
+  }
+  return Math.round(number * 1000) / 1000;
+}
+
+// Parse optional product dimensions ({ length, width, height } in cm, JSON string or object)
+function parseDimensions(value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  try {
+    const raw = typeof value === "string" ? JSON.parse(value) : value;
+    const dimensions = {
+      length: parseMeasurement(raw.length),
+      width: parseMeasurement(raw.width),
+      height: parseMeasurement(raw.height)
+    };
+    if (Object.values(dimensions).some(v => v === undefined || Number.isNaN(v))) {
+      return NaN;
+    }
+    return dimensions;
+  } catch (err) {
+    return NaN;
+  }
+}
+
+// Parse a stock count; returns undefined when not provided (untracked) and NaN when invalid
+function parseStock(value) {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  if (value === null || value === "null") {
+    return null;
+  }
+  const stock = Number(value);
+  if (!Number.isInteger(stock) || stock < 0) {
+    return NaN;
+  }
+  return stock;
+}
+
+// Parse variants ([{ id, sku, options, price, stock, images }], JSON string or array).
+// A variant without an id uses its SKU as id. Returns NaN when malformed.
+function parseVariants(value) {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  try {
+    const raw = typeof value === "string" ? JSON.parse(value) : value;
+    if (!Array.isArray(raw)) {
+      return NaN;
+    }
+    const variants = [];
+    for (const variant of raw) {
+      const id = variant && (variant.id !== undefined && variant.id !== null && variant.id !== "" ? variant.id : variant.sku);
+      if (id === undefined || id === null || id === "") {
+        return NaN;
+      }
+      const stock = parseStock(variant.stock);
+      const price = parsePrice(variant.price);
+      if (Number.isNaN(stock) || Number.isNaN(price)) {
+        return NaN;
+      }
+      variants.push({
+        ...variant,
+        id: String(id),
+        ...(typeof variant.sku === "string" && { sku: variant.sku.trim() }),
+        ...(price !== undefined && { price }),
+        ...(stock !== undefined && { stock })
+      });
+    }
+    return variants;
+  } catch (err) {
+    return NaN;
+  }
+}
+
+// Parse option axes ([{ name, values: [...] }], JSON string or array); NaN when malformed
+function parseOptions(value) {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  try {
+    const raw = typeof value === "string" ? JSON.parse(value) : value;
+    if (!Array.isArray(raw) || raw.some(option => !option || !Array.isArray(option.values))) {
+      return NaN;
+    }
+    return raw.map(option => ({
+      name: String(option.name || "").trim(),
+      values: option.values.map(v => String(v).trim())
+    }));
+  } catch (err) {
+    return NaN;
+  }
+}
+
+// Variant images may name a file uploaded in the same request; point them at its URL
+function linkVariantImages(variants, files, images) {
+  if (!Array.isArray(variants)) {
+    return variants;
+  }
+  const uploaded = new Map(files.map((file, i) => [file.originalname, getImageUrl(images[i])]));
+  return variants.map(variant => (Array.isArray(variant.images)
+    ? { ...variant, images: variant.images.map(image => uploaded.get(image) || image) }
+    : variant));
+}
+
+const PUBLICATION_FIELDS = ["status", "publishAt", "unpublishAt"];
+
+// Read status / publishAt / unpublishAt from a request body on top of the
+// product's current values. Returns { publication, changed } or { error }.
+// An empty date clears it; a published product with a future publishAt is scheduled.
+function parsePublication(body, current = {}) {
+  const publication = {
+    status: current.status || "published",
+    publishAt: current.publishAt || null,
+    unpublishAt: current.unpublishAt || null
+  };
+  const changed = PUBLICATION_FIELDS.some(field => body[field] !== undefined);
+
+  if (body.status !== undefined && body.status !== "") {
+    if (!PRODUCT_STATUSES.includes(body.status)) {
+      return { error: `status must be one of: ${PRODUCT_STATUSES.join(", ")}` };
+    }
+    publication.status = body.status;
+  }
+  for (const field of ["publishAt", "unpublishAt"]) {
+    const value = body[field];
+    if (value === undefined) {
+      continue;
+    }
+    if (value === null || value === "" || value === "null") {
+      publication[field] = null;
+      continue;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${field} must be a valid date` };
+    }
+    publication[field] = date.toISOString();
+  }
+
+  if (publication.status === "scheduled" && !publication.publishAt) {
+    return { error: "Scheduled products need a publishAt date" };
+  }
+  if (publication.publishAt && publication.unpublishAt && publication.unpublishAt <= publication.publishAt) {
+    return { error: "unpublishAt must be after publishAt" };
+  }
+  if (publication.status === "published" && publication.publishAt && publication.publishAt > new Date().toISOString()) {
+    publication.status = "scheduled";
+  }
+  return { publication, changed };
+}
+
+// Multipart bodies carry specs, translations and existingImages as JSON strings.
+// Returns { value } or { error: { path, message } }.
+function parseJsonField(body, field, fallback) {
+  const raw = body[field];
+  if (raw === undefined || raw === "") {
+    return { value: fallback };
+  }
+  if (typeof raw !== "string") {
+    return { value: raw };
+  }
+  try {
+    return { value: JSON.parse(raw) };
+  } catch (err) {
+    return { error: { path: field, message: `must be valid JSON (${err.message})` } };
+  }
+}
+
+// Scalar product fields of a create / update request; missing ones are left out.
+// Returns { fields, errors } with errors as { path, message }.
+function parseProductFields(body) {
+  const fields = {};
+  const errors = [];
+
+  const price = parsePrice(body.price);
+  if (Number.isNaN(price)) {
+    errors.push({ path: "price", message: "must be a non-negative number" });
+  } else if (price !== undefined) {
+    fields.price = price;
+  }
+  if (body.currency !== undefined && body.currency !== "") {
+    fields.currency = String(body.currency).trim().toLowerCase();
+  }
+
+  const weight = parseMeasurement(body.weight);
+  if (Number.isNaN(weight)) {
+    errors.push({ path: "weight", message: "must be a positive number" });
+  } else if (weight !== undefined) {
+    fields.weight = weight;
+  }
+  const dimensions = parseDimensions(body.dimensions);
+  if (Number.isNaN(dimensions)) {
+    errors.push({ path: "dimensions", message: "needs a positive length, width and height" });
+  } else if (dimensions !== undefined) {
+    fields.dimensions = dimensions;
+  }
+
+  const stock = parseStock(body.stock);
+  if (Number.isNaN(stock)) {
+    errors.push({ path: "stock", message: "must be a whole number of 0 or more" });
+  } else if (stock !== undefined) {
+    fields.stock = stock;
+  }
+  const options = parseOptions(body.options);
+  if (Number.isNaN(options)) {
+    errors.push({ path: "options", message: "must be a list of { name, values }" });
+  } else if (options !== undefined) {
+    fields.options = options;
+  }
+  const variants = parseVariants(body.variants);
+  if (Number.isNaN(variants)) {
+    errors.push({ path: "variants", message: "must be a list of variants that each have an id or SKU and a valid price and stock" });
+  } else if (variants !== undefined) {
+    fields.variants = variants;
+  }
+
+  if (body.categories !== undefined) {
+    const categories = parseCategoryIds(body.categories);
+    if (!categories) {
+      errors.push({ path: "categories", message: "must be a list of category ids" });
+    } else {
+      fields.categories = categories;
+    }
+  }
+
+  return { fields, errors };
+}
+
+// Category ids from a JSON string or list (duplicates removed), or null when malformed
+function parseCategoryIds(value) {
+  const { value: list, error } = parseJsonField({ categories: value }, "categories", []);
+  if (error || !Array.isArray(list) || list.some(id => typeof id !== "string" && typeof id !== "number")) {
+    return null;
+  }
+  return [...new Set(list.map(String))];
+}
+
+// Validation errors for variant SKUs already used by another product
+async function checkVariantSkus(variants, productId) {
+  const skus = (variants || []).map(v => v.sku).filter(Boolean);
+  if (skus.length === 0) {
+    return [];
+  }
+  const taken = await findTakenSkus(skus, productId);
+  return taken.map(sku => ({
+    path: `variants[${variants.findIndex(v => v.sku === sku)}].sku`,
+    message: `${sku} is already used by another product`
+  }));
+}
+
+// Validation errors for category ids that don't exist
+async function checkCategoryIds(categories) {
+  if (!categories || categories.length === 0) {
+    return [];
+  }
+  const unknown = await findUnknownCategoryIds(categories);
+  return unknown.length > 0 ? [{ path: "categories", message: `unknown category: ${unknown.join(", ")}` }] : [];
+}
+
+function sendValidationErrors(res, errors) {
+  return res.status(400).json({ error: "Invalid product", details: errors });
+}
+
+// Storefront stock indicator: in_stock, low_stock or out_of_stock
+function getAvailability(product, variantId) {
+  const available = getAvailableStock(product, variantId);
+  if (available === null) {
+    return "in_stock";
+  }
+  if (available <= 0) {
+    return "out_of_stock";
+  }
+  return available <= LOW_STOCK_THRESHOLD ? "low_stock" : "in_stock";
+}
+
+// Adds availability to the product and to each of its variants
+function withAvailability(product) {
+  return {
+    ...product,
+    availability: getAvailability(product),
+    ...(Array.isArray(product.variants) && {
+      variants: product.variants.map(variant => ({ ...variant, availability: getAvailability(product, variant.id) }))
+    })
+  };
+}
+
+// Fields in an update request (other than translations) that would change the stored product
+function getNonTranslationChanges(product, body) {
+  const changed = [];
+  const differs = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+
+  try {
+    if (body.specs !== undefined && differs(JSON.parse(body.specs || "[]"), product.specs || [])) {
+      changed.push("specs");
+    }
+    if (body.existingImages !== undefined && differs(resolveExistingImages(JSON.parse(body.existingImages || "[]"), product), product.images || [])) {
+      changed.push("images");
+    }
+    if (body.variants !== undefined && differs(parseVariants(body.variants), product.variants)) {
+      changed.push("variants");
+    }
+    if (body.options !== undefined && differs(parseOptions(body.options), product.options)) {
+      changed.push("options");
+    }
+    if (body.dimensions !== undefined && differs(parseDimensions(body.dimensions), product.dimensions)) {
+      changed.push("dimensions");
+    }
+    if (body.categories !== undefined && differs(parseCategoryIds(body.categories), product.categories || [])) {
+      changed.push("categories");
+    }
+  } catch (err) {
+    changed.push("specs");
+  }
+  if (body.price !== undefined && parsePrice(body.price) !== parsePrice(product.price)) {
+    changed.push("price");
+  }
+  if (body.weight !== undefined && parseMeasurement(body.weight) !== parseMeasurement(product.weight)) {
+    changed.push("weight");
+  }
+  if (body.stock !== undefined && parseStock(body.stock) !== parseStock(product.stock)) {
+    changed.push("stock");
+  }
+  const { publication, changed: publicationSent } = parsePublication(body, product);
+  if (publicationSent && (!publication || PUBLICATION_FIELDS.some(f => publication[f] !== (product[f] || (f === "status" ? "published" : null))))) {
+    changed.push("status");
+  }
+  return changed;
+}
+
+// Images as objects with the alt text for a language (the product name when there's none)
+function localizeImages(images, lang, fallbackAlt) {
+  return (images || []).map(normalizeImage).filter(Boolean).map(image => ({
+    ...image,
+    altText: image.alt[lang] || image.alt[DEFAULT_LANGUAGE] || fallbackAlt
+  }));
+}
+
+// Product as sent to clients: `images` stays a list of URLs like it always was,
+// `imageDetails` has the same images as objects with their metadata and variants
+function withImageDetails(product) {
+  if (!product) {
+    return product;
+  }
+  return {
+    ...product,
+    images: (product.images || []).map(getImageUrl).filter(Boolean),
+    imageDetails: (product.images || []).map(normalizeImage).filter(Boolean)
+  };
+}
+
+// Add the name/description for the requested language to a product. `images` are
+// URLs; `imageDetails` has the image objects with alt text for the language.
+function localizeProduct(product, lang) {
+  const translation = pickTranslation(product, lang);
+  const name = translation ? translation.name : (product.name || "");
+  return {
+    ...withImageDetails(product),
+    imageDetails: localizeImages(product.images, lang, name),
+    name,
+    description: translation ? (translation.description || "") : (product.description || ""),
+    slug: (product.slugs || {})[lang] || (product.slugs || {})[DEFAULT_LANGUAGE] || null,
+    translation
+  };
+}
+
+// Look up a discount code and apply it to priced cart lines.
+// Returns { promotion, discount, freeShipping, subtotal, eligibleSubtotal } or { error }.
+async function applyPromotionCode(code, lines) {
+  const promotion = await getPromotionByCode(normalizePromotionCode(code));
+  if (!promotion) {
+    return { error: INVALID_PROMOTION_CODE };
+  }
+  // A targeted category covers its subcategories too
+  const categoryIds = [];
+  for (const id of promotion.categoryIds || []) {
+    categoryIds.push(...((await getCategorySubtreeIds(id)) || []));
+  }
+  const result = evaluatePromotion(promotion, lines, { categoryIds });
+  return result.error ? result : { promotion, ...result };
+}
+
+// Code lookups (previews and checkouts with a code) allowed per client IP, so
+// codes can't be brute-forced
+const PROMO_ATTEMPT_WINDOW_MINUTES = 15;
+const PROMO_MAX_ATTEMPTS = 20;
+
+// Counts the attempt; sends 429 and returns true when the client is over the limit
+async function limitPromoAttempts(req, res) {
+  const attempts = await recordRateLimitHit(`promo:${req.ip}`, PROMO_ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+  if (attempts <= PROMO_MAX_ATTEMPTS) {
+    return false;
+  }
+  res.set("Retry-After", String(PROMO_ATTEMPT_WINDOW_MINUTES * 60));
+  res.status(429).json({ error: "Too many code attempts, try again later" });
+  return true;
+}
+
+// Delete a Stripe coupon (one that's already gone counts as deleted). Returns false on failure.
+async function deleteStripeCoupon(couponId) {
+  try {
+    await stripe.coupons.del(couponId);
+  } catch (err) {
+    if (err.statusCode !== 404) {
+      console.error(`⚠️ Failed to delete Stripe coupon ${couponId}:`, err.message);
+      return false;
+    }
+  }
+  return true;
+}
+
+// Delete the single-use Stripe coupons of checkouts whose code use was released
+async function deleteReleasedCoupons() {
+  try {
+    for (const redemption of await getReleasedRedemptionCoupons()) {
+      if (await deleteStripeCoupon(redemption.stripeCouponId)) {
+        await markRedemptionCouponDeleted(redemption.id);
+      }
+    }
+  } catch (err) {
+    console.error("⚠️ Failed to clean up released coupons:", err.message);
+  }
+}
+
+// Orders whose goods haven't left the warehouse. Cancelling or refunding one of them
+// puts its stock and code use back; shipped goods are restocked by hand once returned.
+const RESTOCKABLE_ORDER_STATUSES = ["pending", "paid", "packed"];
+
+// Release the reservation of an order that was cancelled or refunded from `fromStatus`
+async function releaseOrderReservation(order, fromStatus) {
+  if (!order.reservationId || !RESTOCKABLE_ORDER_STATUSES.includes(fromStatus)) {
+    return false;
+  }
+  const released = await releaseReservation(order.reservationId, fromStatus === "pending" ? "held" : "committed");
+  if (released) {
+    console.log(`📦 Released stock reserved for order ${order.id}`);
+    await deleteReleasedCoupons();
+  }
+  return released;
+}
+
+// Test route
+app.get("/", (req, res) => {
+  res.send("Backend is running");
+});
+
+// Login name used when the admin UI only sends a password (the bootstrap account)
+const BOOTSTRAP_ADMIN_EMAIL = (process.env.ADMIN_EMAIL || "admin").trim().toLowerCase();
+
+// Create the first admin account from ADMIN_EMAIL / ADMIN_PASSWORD when there are none yet.
+// There are no built-in credentials: without those variables nobody can log in.
+async function ensureBootstrapAdmin() {
+  if (!process.env.ADMIN_PASSWORD || (await countAdminUsers()) > 0) {
+    return;
+  }
+  const weakness = checkPasswordStrength(process.env.ADMIN_PASSWORD);
+  if (weakness) {
+    console.error(`❌ ADMIN_PASSWORD rejected for the bootstrap admin: ${weakness}`);
+    return;
+  }
+  try {
+    await createAdminUser({
+      email: BOOTSTRAP_ADMIN_EMAIL,
+      name: "Administrator",
+      role: "owner",
+      passwordHash: await hashPassword(process.env.ADMIN_PASSWORD)
+    });
+    console.log(`👤 Created bootstrap admin account ${BOOTSTRAP_ADMIN_EMAIL}`);
+  } catch (err) {
+    // Another instance created it at the same time
+    if (err.code !== 11000) {
+      throw err;
+    }
+  }
+}
+
+// Start a session for an admin and return its signed token
+async function issueAdminToken(user, req) {
+  const sessionId = generateSecret(16);
+  const expiresAt = Date.now() + TOKEN_TTL_HOURS * 60 * 60 * 1000;
+  await createAdminSession({
+    sessionId,
+    userId: user.id,
+    expiresAt,
+    ip: req.ip,
+    userAgent: req.headers["user-agent"]
+  });
+  const token = signToken({ sub: user.id, sid: sessionId, exp: Math.floor(expiresAt / 1000) });
+  return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+// Admin authentication
+app.post("/api/admin/login", async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!password) {
+      return res.status(400).json({ error: "Email and password are required" });
+    }
+
+    await ensureBootstrapAdmin();
+
+    const credentials = await getAdminCredentials(email || BOOTSTRAP_ADMIN_EMAIL);
+    const usable = credentials && !credentials.disabled;
+    // Always run the hash check, so unknown emails take as long as wrong passwords
+    const matches = await verifyPassword(password, usable ? credentials.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!usable || !matches) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+
+    const { passwordHash, ...user } = credentials;
+    const { token, expiresAt } = await issueAdminToken(user, req);
+    await updateAdminUser(user.id, { lastLoginAt: new Date().toISOString() });
+
+    console.log(`🔑 Admin ${user.email} logged in`);
+    res.json({ token, expiresAt, user, message: "Login successful" });
+  } catch (err) {
+    console.error("Login error:", err);
+    res.status(500).json({ error: "Login failed", details: err.message });
+  }
+});
+
+// End the current admin session
+app.post("/api/admin/logout", authenticate, async (req, res) => {
+  try {
+    await revokeAdminSession(req.admin.sessionId);
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ error: "Logout failed" });
+  }
+});
+
+// Current admin account
+app.get("/api/admin/me", authenticate, (req, res) => {
+  const { sessionId, ...user } = req.admin;
+  res.json({ ...user, permissions: getPermissions(user) });
+});
+
+// Change own password; other sessions of the account are signed out
+app.post("/api/admin/password", authenticate, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    const passwordHash = await getAdminPasswordHash(req.admin.id);
+    if (!(await verifyPassword(currentPassword, passwordHash))) {
+      return res.status(401).json({ error: "Current password is incorrect" });
+    }
+
+    const weakness = checkPasswordStrength(newPassword);
+    if (weakness) {
+      return res.status(400).json({ error: weakness });
+    }
+
+    await updateAdminUser(req.admin.id, { passwordHash: await hashPassword(newPassword) });
+    const revoked = await revokeAdminSessions(req.admin.id, req.admin.sessionId);
+    await audit(req, "admin-user.password-change", "adminUser", req.admin.id, null, null);
+    res.json({ message: "Password changed", revokedSessions: revoked });
+  } catch (err) {
+    console.error("Password change error:", err);
+    res.status(500).json({ error: "Failed to change password" });
+  }
+});
+
+// Complete a password reset with a one-time token; all sessions of the account are signed out
+app.post("/api/admin/password-reset", async (req, res) => {
+  try {
+    const { token, newPassword } = req.body || {};
+    if (!token) {
+      return res.status(400).json({ error: "Reset token is required" });
+    }
+
+    const weakness = checkPasswordStrength(newPassword);
+    if (weakness) {
+      return res.status(400).json({ error: weakness });
+    }
+
+    const userId = await consumePasswordReset(hashSecret(token));
+    if (!userId) {
+      return res.status(400).json({ error: "Reset token is invalid or has expired" });
+    }
+
+    await updateAdminUser(userId, { passwordHash: await hashPassword(newPassword) });
+    await revokeAdminSessions(userId);
+    res.json({ message: "Password has been reset, please log in" });
+  } catch (err) {
+    console.error("Password reset error:", err);
+    res.status(500).json({ error: "Failed to reset password" });
+  }
+});
+
+// List admin accounts
+app.get("/api/admin/users", authenticate, requirePermission("users:manage"), async (req, res) => {
+  try {
+    res.json(await listAdminUsers());
+  } catch (err) {
+    console.error("Error listing admin users:", err);
+    res.status(500).json({ error: "Failed to fetch admin users" });
+  }
+});
+
+// Create an admin account
+app.post("/api/admin/users", authenticate, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { email, name, password, role = "editor" } = req.body || {};
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(", ")}` });
+    }
+    if (!email || !/^[^\s@]+@[^\s@]+$/.test(String(email).trim())) {
+      return res.status(400).json({ error: "A valid email is required" });
+    }
+    const weakness = checkPasswordStrength(password);
+    if (weakness) {
+      return res.status(400).json({ error: weakness });
+    }
+
+    const user = await createAdminUser({ email, name, role, passwordHash: await hashPassword(password) });
+    await audit(req, "admin-user.create", "adminUser", user.id, null, user);
+    res.status(201).json({ user, message: "Admin user created" });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "An admin with this email already exists" });
+    }
+    console.error("Error creating admin user:", err);
+    res.status(500).json({ error: "Failed to create admin user" });
+  }
+});
+
+// Change an admin's name, role or disabled flag (disabling signs them out everywhere)
+app.patch("/api/admin/users/:id", authenticate, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { name, role, disabled } = req.body || {};
+    const updates = {};
+
+    if (name !== undefined) {
+      updates.name = String(name);
+    }
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(", ")}` });
+      }
+      updates.role = role;
+    }
+    if (disabled !== undefined) {
+      updates.disabled = disabled === true || disabled === "true";
+    }
+
+    if (req.params.id === req.admin.id && (updates.disabled || (updates.role && updates.role !== "owner"))) {
+      return res.status(400).json({ error: "You can't disable your own account or remove your own owner role" });
+    }
+
+    const before = await getAdminUserById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: "Admin user not found" });
+    }
+
+    const user = await updateAdminUser(req.params.id, updates);
+    if (!user) {
+      return res.status(404).json({ error: "Admin user not found" });
+    }
+    await audit(req, "admin-user.update", "adminUser", user.id, before, user);
+    if (updates.disabled) {
+      await revokeAdminSessions(user.id);
+    }
+
+    res.json({ user, message: "Admin user updated" });
+  } catch (err) {
+    console.error("Error updating admin user:", err);
+    res.status(500).json({ error: "Failed to update admin user" });
+  }
+});
+
+// Issue a one-time password reset token for an admin (valid for one hour).
+// The token is only returned here - hand it to the user over a trusted channel.
+app.post("/api/admin/users/:id/password-reset", authenticate, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await getAdminUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "Admin user not found" });
+    }
+
+    const token = generateSecret();
+    const expiresAt = Date.now() + 60 * 60 * 1000;
+    await createPasswordReset({ tokenHash: hashSecret(token), userId: user.id, createdBy: req.admin.id, expiresAt });
+    await audit(req, "admin-user.password-reset", "adminUser", user.id, null, null);
+
+    res.json({ token, expiresAt: new Date(expiresAt).toISOString(), message: "Password reset token created" });
+  } catch (err) {
+    console.error("Error creating password reset:", err);
+    res.status(500).json({ error: "Failed to create password reset" });
+  }
+});
+
+const MAX_TRANSLATE_LENGTH = 5000;
+
+// Translate one text for the admin UI: { text, targetLang, sourceLang? (default en) }
+app.post("/api/translate", authenticate, requirePermission("products:translate"), async (req, res) => {
+  try {
+    const { text, targetLang, sourceLang } = req.body || {};
+
+    if (typeof text !== "string" || !text.trim() || !targetLang) {
+      return res.status(400).json({ error: "Text and target language required" });
+    }
+    if (text.length > MAX_TRANSLATE_LENGTH) {
+      return res.status(400).json({ error: `Text must be at most ${MAX_TRANSLATE_LENGTH} characters` });
+    }
+    const to = normalizeLanguage(targetLang);
+    const from = sourceLang ? normalizeLanguage(sourceLang) : DEFAULT_LANGUAGE;
+    if (!to || !from) {
+      return res.status(400).json({ error: `Languages must be one of: ${SUPPORTED_LANGUAGES.join(", ")}` });
+    }
+
+    const { translatedText, cached, provider } = await translateText(text, from, to);
+    res.json({ translatedText, cached, provider });
+  } catch (err) {
+    console.error("Translation error:", err.message);
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: "Translation service error" });
+  }
+});
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 200;
+
+// Turn GET /api/products query parameters into queryProducts options.
+// Returns { options } or { error } for invalid input.
+function parseProductQuery(query, admin) {
+  const lang = query.lang ? normalizeLanguage(query.lang) : DEFAULT_LANGUAGE;
+  if (!lang) {
+    return { error: `lang must be one of: ${SUPPORTED_LANGUAGES.join(", ")}` };
+  }
+
+  const sort = query.sort || "newest";
+  if (!PRODUCT_SORTS[sort]) {
+    return { error: `sort must be one of: ${Object.keys(PRODUCT_SORTS).join(", ")}` };
+  }
+
+  // Without page, limit or cursor the whole list is returned, as before pagination existed
+  const paginated = query.page !== undefined || query.limit !== undefined || query.cursor !== undefined;
+
+  // Only admins can see products that aren't published. Lifecycle statuses
+  // match the status products effectively have right now. Unpaginated admin
+  // requests list every product, like the admin UI always got.
+  const status = query.status || (admin && !paginated ? "all" : "published");
+  if (status !== "unpublished" && status !== "all" && !PRODUCT_STATUSES.includes(status)) {
+    return { error: `status must be one of: unpublished, all, ${PRODUCT_STATUSES.join(", ")}` };
+  }
+  const visibility = status === "published" ? "public" : status;
+  if (visibility !== "public" && !admin) {
+    return { error: "Authentication required to list unpublished products", status: 401 };
+  }
+
+  const minPrice = parsePrice(query.minPrice);
+  const maxPrice = parsePrice(query.maxPrice);
+  if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+    return { error: "minPrice and maxPrice must be non-negative numbers" };
+  }
+
+  const page = query.page === undefined ? 1 : parseInt(query.page);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit);
+  if (paginated && (!(page >= 1) || !(limit >= 1) || limit > MAX_PAGE_SIZE)) {
+    return { error: `page must be 1 or more and limit between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  // Spec filters are passed as spec.<label>=<value>
+  const specs = {};
+  for (const [key, value] of Object.entries(query)) {
+    if (key.startsWith("spec.") && key.length > 5) {
+      specs[key.slice(5)] = String(value);
+    }
+  }
+
+  return {
+    options: {
+      visibility,
+      category: query.category,
+      specs,
+      minPrice,
+      maxPrice,
+      sort,
+      lang,
+      page: paginated ? page : 1,
+      limit: paginated ? limit : null,
+      cursor: query.cursor
+    }
+  };
+}
+
+// Product schema (JSON Schema) the admin UI builds its forms from
+app.get("/api/schema/product", (req, res) => {
+  res.json(PRODUCT_SCHEMA);
+});
+
+// Get products. Query parameters: page & limit or cursor, sort, category (id or slug,
+// subcategories included), spec.<label>, minPrice, maxPrice, status (admins: draft, scheduled, archived, unpublished or all) and lang.
+// The body is the product array; totals and the next cursor are sent as headers.
+// Without page, limit or cursor every matching product is returned.
+app.get("/api/products", optionalAuthenticate, async (req, res) => {
+  try {
+    const { options, error, status } = parseProductQuery(req.query, req.admin);
+    if (error) {
+      return res.status(status || 400).json({ error });
+    }
+
+    const { products, total, nextCursor } = await queryProducts(options);
+
+    res.set("X-Total-Count", String(total));
+    if (options.limit) {
+      res.set("X-Limit", String(options.limit));
+      if (!options.cursor) {
+        res.set("X-Page", String(options.page));
+      }
+    }
+    if (nextCursor) {
+      res.set("X-Next-Cursor", nextCursor);
+    }
+
+    res.json(products.map(p => localizeProduct(withAvailability(p), options.lang)));
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Error fetching products:", err);
+    res.status(500).json({ error: "Failed to fetch products" });
+  }
+});
+
+// The search index covers published products. It's rebuilt after product writes on
+// this instance, and at least every SEARCH_INDEX_TTL_SECONDS to pick up writes made
+// by other (serverless) instances.
+const SEARCH_INDEX_TTL_MS = (parseInt(process.env.SEARCH_INDEX_TTL_SECONDS) || 60) * 1000;
+let productSearchIndex = null;
+let productSearchIndexBuild = null;
+
+function invalidateSearchIndex() {
+  productSearchIndex = null;
+}
+
+async function getSearchIndex() {
+  if (productSearchIndex && Date.now() - productSearchIndex.builtAt < SEARCH_INDEX_TTL_MS) {
+    return productSearchIndex;
+  }
+  // Concurrent searches share one rebuild
+  if (!productSearchIndexBuild) {
+    productSearchIndexBuild = getProducts({ publicOnly: true })
+      .then(products => {
+        productSearchIndex = createSearchIndex(products);
+        console.log(`🔎 Search index built with ${products.length} product(s)`);
+        return productSearchIndex;
+      })
+      .finally(() => {
+        productSearchIndexBuild = null;
+      });
+  }
+  return productSearchIndexBuild;
+}
+
+// Search products (?q=&lang=&limit=) in their translations and spec values.
+// Results are ranked, tolerate diacritics and small typos, and carry <mark> highlighted snippets.
+app.get("/api/products/search", async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    if (!q) {
+      return res.status(400).json({ error: "Search query (q) is required" });
+    }
+    if (q.length > 200) {
+      return res.status(400).json({ error: "Search query is too long" });
+    }
+
+    const lang = req.query.lang ? normalizeLanguage(req.query.lang) : DEFAULT_LANGUAGE;
+    if (!lang) {
+      return res.status(400).json({ error: `lang must be one of: ${SUPPORTED_LANGUAGES.join(", ")}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const index = await getSearchIndex();
+    // The index can be up to a TTL old, so scheduled changes are re-checked here
+    const results = searchIndex(index, q, { lang, limit: index.size })
+      .filter(result => isProductPublic(result.product))
+      .slice(0, limit)
+      .map(result => ({
+        product: localizeProduct(withAvailability(result.product), lang),
+        score: result.score,
+        highlights: result.highlights
+      }));
+
+    res.json({ query: q, lang, total: results.length, results });
+  } catch (err) {
+    console.error("Error searching products:", err);
+    res.status(500).json({ error: "Failed to search products" });
+  }
+});
+
+// Get single product by id or slug (any language). Slugs from before a rename
+// redirect to the current one. Products that aren't live are only shown to admins.
+app.get("/api/products/:id", optionalAuthenticate, async (req, res) => {
+  try {
+    const found = await findProductByIdOrSlug(req.params.id);
+    const product = found && found.product;
+    if (!product || (!req.admin && !isProductPublic(product))) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+    if (found.redirectLang) {
+      const slugs = product.slugs || {};
+      const target = slugs[found.redirectLang] || slugs[DEFAULT_LANGUAGE] || product.id;
+      const queryIndex = req.originalUrl.indexOf("?");
+      const query = queryIndex === -1 ? "" : req.originalUrl.slice(queryIndex);
+      return res.redirect(301, `/api/products/${encodeURIComponent(target)}${query}`);
+    }
+    const lang = normalizeLanguage(req.query.lang) || DEFAULT_LANGUAGE;
+    res.json({ ...localizeProduct(withAvailability(product), lang), effectiveStatus: getEffectiveStatus(product) });
+  } catch (err) {
+    console.error("Error fetching product:", err);
+    res.status(500).json({ error: "Failed to fetch product" });
+  }
+});
+
+// Create product
+app.post("/api/products", authenticate, requirePermission("products:create"), upload.array("images", 20), async (req, res) => {
+  try {
+    console.log("📦 Creating product...");
+
+    if (!req.files || req.files.length === 0) {
+      console.error("❌ No images provided");
+      return res.status(400).json({ error: "At least one image is required" });
+    }
+
+    const specs = parseJsonField(req.body, "specs", []);
+    const translations = parseJsonField(req.body, "translations", {});
+    const jsonErrors = [specs.error, translations.error].filter(Boolean);
+    if (jsonErrors.length > 0) {
+      return sendValidationErrors(res, jsonErrors);
+    }
+
+    // New products are published unless a status / schedule is given
+    const { publication, error: publicationError } = parsePublication(req.body);
+    if (publicationError) {
+      return res.status(400).json({ error: publicationError });
+    }
+
+    const { fields, errors: fieldErrors } = parseProductFields(req.body);
+    if (fieldErrors.length > 0) {
+      return sendValidationErrors(res, fieldErrors);
+    }
+    if (fields.stock === null) {
+      delete fields.stock;
+    }
+
+    const productData = {
+      specs: specs.value,
+      translations: translations.value,
+      translationMeta: markHumanTranslations({}, translations.value, {}, req.admin.email),
+      ...fields,
+      ...publication
+    };
+
+    // Validate before uploading so a rejected product leaves no images behind
+    const problems = [
+      ...validateProduct({ ...productData, images: req.files.map(file => file.originalname) }),
+      ...await checkCategoryIds(productData.categories),
+      ...await checkVariantSkus(productData.variants)
+    ];
+    if (problems.length > 0) {
+      return sendValidationErrors(res, problems);
+    }
+    const { processed, errors: imageErrors } = await processUploads(req.files);
+    if (imageErrors) {
+      return sendValidationErrors(res, imageErrors);
+    }
+
+    console.log(`📸 Uploading ${req.files.length} image(s) to ${getStorage().name} storage...`);
+    let images;
+    try {
+      images = await uploadImages(processed);
+      console.log(`✅ ${images.length} image(s) uploaded`);
+    } catch (uploadErr) {
+      console.error("❌ Image upload error:", uploadErr);
+      return res.status(500).json({ error: `Failed to upload image: ${uploadErr.message}` });
+    }
+    productData.images = images;
+    if (productData.variants) {
+      productData.variants = linkVariantImages(productData.variants, req.files, images);
+    }
+
+    // Check MongoDB connection before creating product
+    if (!process.env.MONGODB_URI) {
+      console.error("❌ MONGODB_URI not set");
+      await discardUploadedImages(images);
+      return res.status(500).json({ 
+        error: "Database not configured", 
+        details: "MONGODB_URI environment variable is not set. Please configure it in Vercel Settings → Environment Variables." 
+      });
+    }
+
+    console.log("💾 Saving product to MongoDB...");
+    let product;
+    try {
+      product = await createProduct(productData);
+    } catch (dbErr) {
+      console.error("❌ Database error:", dbErr.message);
+      await discardUploadedImages(images);
+      if (dbErr.message.includes("MONGODB_URI")) {
+        return res.status(500).json({ 
+          error: "Database configuration error", 
+          details: dbErr.message 
+        });
+      } else if (dbErr.message.includes("authentication")) {
+        return res.status(500).json({ 
+          error: "Database authentication failed", 
+          details: "Check your MongoDB username and password in the connection string." 
+        });
+      } else if (dbErr.message.includes("IP") || dbErr.message.includes("whitelist")) {
+        return res.status(500).json({ 
+          error: "Database network error", 
+          details: "Your IP is not whitelisted. Add 0.0.0.0/0 in MongoDB Atlas → Network Access." 
+        });
+      } else {
+        return res.status(500).json({ 
+          error: "Database connection failed", 
+          details: dbErr.message 
+        });
+      }
+    }
+    
+    if (!product) {
+      console.error("❌ createProduct returned null");
+      await discardUploadedImages(images);
+      return res.status(500).json({ 
+        error: "Failed to save product", 
+        details: "Product creation returned null. Check MongoDB connection and logs." 
+      });
+    }
+    
+    console.log("✅ Product created successfully:", product.id);
+    invalidateSearchIndex();
+    await audit(req, "product.create", "product", product.id, null, product);
+
+    res.json({ product: withImageDetails(product), message: "Product created successfully" });
+  } catch (err) {
+    console.error("❌ Error creating product:", err);
+    console.error("❌ Error stack:", err.stack);
+    res.status(500).json({ 
+      error: "Failed to create product",
+      details: err.message || String(err)
+    });
+  }
+});
+
+// Update product
+app.put("/api/products/:id", authenticate, requirePermission("products:update", "products:translate"), upload.array("images", 20), async (req, res) => {
+  try {
+    console.log(`🔄 Updating product: ${req.params.id}`);
+    
+    const existingProduct = await getProductById(req.params.id);
+    if (!existingProduct) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    const translations = parseJsonField(req.body, "translations", {});
+    if (translations.error) {
+      return sendValidationErrors(res, [translations.error]);
+    }
+
+    // Translators may only change translations
+    if (!hasPermission(req.admin, "products:update")) {
+      if ((req.files && req.files.length > 0) || getNonTranslationChanges(existingProduct, req.body).length > 0) {
+        return sendForbidden(res, "products:update");
+      }
+
+      const problems = validateProduct({ ...existingProduct, translations: translations.value });
+      if (problems.length > 0) {
+        return sendValidationErrors(res, problems);
+      }
+
+      const updatedProduct = await updateProduct(req.params.id, {
+        translations: translations.value,
+        translationMeta: markHumanTranslations(existingProduct.translations, translations.value, existingProduct.translationMeta, req.admin.email)
+      }, { actor: req.admin.email });
+      if (!updatedProduct) {
+        return res.status(404).json({ error: "Product not found" });
+      }
+      await pruneRevisionsAndImages(updatedProduct.id);
+      invalidateSearchIndex();
+      await audit(req, "product.update", "product", updatedProduct.id, existingProduct, updatedProduct);
+      return res.json({ product: withImageDetails(updatedProduct), message: "Product updated successfully" });
+    }
+
+    const specs = parseJsonField(req.body, "specs", []);
+    const existingImages = parseJsonField(req.body, "existingImages", []);
+    const jsonErrors = [specs.error, existingImages.error].filter(Boolean);
+    if (jsonErrors.length > 0) {
+      return sendValidationErrors(res, jsonErrors);
+    }
+
+    const { fields, errors: fieldErrors } = parseProductFields(req.body);
+    if (fieldErrors.length > 0) {
+      return sendValidationErrors(res, fieldErrors);
+    }
+
+    const { publication, changed: publicationChanged, error: publicationError } = parsePublication(req.body, existingProduct);
+    if (publicationError) {
+      return res.status(400).json({ error: publicationError });
+    }
+
+    const updates = {
+      images: resolveExistingImages(existingImages.value, existingProduct),
+      specs: specs.value,
+      translations: translations.value,
+      translationMeta: markHumanTranslations(existingProduct.translations, translations.value, existingProduct.translationMeta, req.admin.email),
+      ...fields,
+      ...(publicationChanged && publication)
+    };
+
+    // Validate the product as it will be stored before uploading anything
+    const newFiles = req.files || [];
+    const problems = [
+      ...validateProduct({
+        ...existingProduct,
+        ...updates,
+        images: Array.isArray(updates.images) ? [...updates.images, ...newFiles.map(file => file.originalname)] : updates.images
+      }),
+      ...await checkCategoryIds(updates.categories),
+      ...await checkVariantSkus(updates.variants, existingProduct.id)
+    ];
+    if (problems.length > 0) {
+      return sendValidationErrors(res, problems);
+    }
+
+    const { processed, errors: imageErrors } = await processUploads(newFiles);
+    if (imageErrors) {
+      return sendValidationErrors(res, imageErrors);
+    }
+    const newImages = await uploadImages(processed);
+    updates.images.push(...newImages);
+    if (updates.variants) {
+      updates.variants = linkVariantImages(updates.variants, newFiles, newImages);
+    }
+
+    // Removed images stay referenced by the revision of the previous version and
+    // are deleted from storage once that revision is pruned, after this write
+    let updatedProduct;
+    try {
+      updatedProduct = await updateProduct(req.params.id, updates, { actor: req.admin.email });
+    } catch (dbErr) {
+      await discardUploadedImages(newImages);
+      throw dbErr;
+    }
+
+    if (!updatedProduct) {
+      await discardUploadedImages(newImages);
+      return res.status(404).json({ error: "Product not found" });
+    }
+    await pruneRevisionsAndImages(updatedProduct.id);
+
+    invalidateSearchIndex();
+    await audit(req, "product.update", "product", updatedProduct.id, existingProduct, updatedProduct);
+    res.json({ product: withImageDetails(updatedProduct), message: "Product updated successfully" });
+  } catch (err) {
+    console.error("Error updating product:", err);
+    res.status(500).json({ error: "Failed to update product" });
+  }
+});
+
+// Change a product's publication state: { status?, publishAt?, unpublishAt? }
+app.patch("/api/products/:id/publication", authenticate, requirePermission("products:update"), async (req, res) => {
+  try {
+    const existingProduct = await getProductById(req.params.id);
+    if (!existingProduct) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    const { publication, changed, error } = parsePublication(req.body || {}, existingProduct);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!changed) {
+      return res.status(400).json({ error: "Nothing to update (status, publishAt, unpublishAt)" });
+    }
+
+    const updatedProduct = await updateProduct(req.params.id, publication, { actor: req.admin.email, reason: "publication" });
+    if (!updatedProduct) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+    await pruneRevisionsAndImages(updatedProduct.id);
+
+    invalidateSearchIndex();
+    await audit(req, "product.publication", "product", updatedProduct.id, existingProduct, updatedProduct);
+    console.log(`📅 Product ${updatedProduct.id} is now ${getEffectiveStatus(updatedProduct)}`);
+    res.json({ product: withImageDetails(updatedProduct), effectiveStatus: getEffectiveStatus(updatedProduct) });
+  } catch (err) {
+    console.error("Error updating product publication:", err);
+    res.status(500).json({ error: "Failed to update product publication" });
+  }
+});
+
+// Machine-translate a product's missing name / description fields:
+// { from? (default en), languages? (default all), refresh? }. Fields a person wrote
+// are never replaced; machine-written ones are only redone with refresh: true.
+app.post("/api/products/:id/translate", authenticate, requirePermission("products:translate"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const from = body.from ? normalizeLanguage(body.from) : DEFAULT_LANGUAGE;
+    const languages = body.languages === undefined ? SUPPORTED_LANGUAGES : body.languages;
+    if (!from || !Array.isArray(languages) || languages.some(lang => !normalizeLanguage(lang))) {
+      return res.status(400).json({ error: `Languages must be one of: ${SUPPORTED_LANGUAGES.join(", ")}` });
+    }
+
+    const product = await getProductById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+    if (!product.translations || !product.translations[from] || !product.translations[from].name) {
+      return res.status(400).json({ error: `Product has no ${from} translation to translate from` });
+    }
+
+    const { translations, translationMeta, filled } = await fillMissingTranslations(product, {
+      from,
+      languages: languages.map(normalizeLanguage),
+      refresh: body.refresh === true
+    });
+    if (filled.length === 0) {
+      return res.json({ product: withImageDetails(product), filled, message: "Nothing to translate" });
+    }
+    const problems = validateProduct({ ...product, translations });
+    if (problems.length > 0) {
+      return sendValidationErrors(res, problems);
+    }
+
+    // Translating takes a while; don't overwrite edits made in the meantime
+    const updatedProduct = await updateProduct(product.id, { translations, translationMeta }, {
+      actor: req.admin.email,
+      reason: "translate",
+      expectedUpdatedAt: product.updatedAt || null
+    });
+    if (!updatedProduct) {
+      const stillExists = await getProductById(product.id);
+      return stillExists
+        ? res.status(409).json({ error: "Product was changed while translating, try again" })
+        : res.status(404).json({ error: "Product not found" });
+    }
+    await pruneRevisionsAndImages(updatedProduct.id);
+    invalidateSearchIndex();
+    await audit(req, "product.translate", "product", updatedProduct.id, product, updatedProduct);
+    console.log(`🌍 Translated ${filled.length} field(s) of product ${updatedProduct.id}`);
+    res.json({ product: withImageDetails(updatedProduct), filled });
+  } catch (err) {
+    if (err.status) {
+      console.error("Translation error:", err.message);
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error translating product:", err);
+    res.status(500).json({ error: "Failed to translate product" });
+  }
+});
+
+// Product Images
+//
+// Images are addressed by their main URL. Files removed from a product stay
+// referenced by its previous revision and are deleted once that is pruned.
+
+const MAX_DIRECT_UPLOADS = 20;
+
+// Save a product's changed images (and variants) if nobody changed the product
+// meanwhile. Returns { product } or { status, body } for the error response.
+async function saveProductImages(req, product, changes) {
+  const problems = validateProduct({ ...product, ...changes });
+  if (problems.length > 0) {
+    return { status: 400, body: { error: "Invalid product", details: problems } };
+  }
+  const updatedProduct = await updateProduct(product.id, changes, {
+    actor: req.admin.email,
+    reason: "images",
+    expectedUpdatedAt: product.updatedAt || null
+  });
+  if (!updatedProduct) {
+    const stillExists = await getProductById(product.id);
+    return stillExists
+      ? { status: 409, body: { error: "Product was changed meanwhile, reload it and try again" } }
+      : { status: 404, body: { error: "Product not found" } };
+  }
+  await pruneRevisionsAndImages(updatedProduct.id);
+  await audit(req, "product.images", "product", updatedProduct.id, product, updatedProduct);
+  return { product: updatedProduct };
+}
+
+function findImageIndex(product, url) {
+  return (product.images || []).findIndex(image => getImageUrl(image) === url);
+}
+
+// Load the product for an image route, or send 404
+async function getProductForImages(req, res) {
+  const product = await getProductById(req.params.id);
+  if (!product) {
+    res.status(404).json({ error: "Product not found" });
+  }
+  return product;
+}
+
+// Direct browser uploads: returns { storage, uploads: [{ method, url, fields?, expiresAt }] }
+// for { count? }. The browser sends each file there (fields as multipart form fields
+// plus "file" for POST, the raw file as the body for PUT) and then adds the resulting
+// URLs to a product with POST /api/products/:id/images { uploads: [...] }.
+app.post("/api/admin/uploads", authenticate, requirePermission("products:update"), async (req, res) => {
+  try {
+    const count = (req.body || {}).count === undefined ? 1 : Number(req.body.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_DIRECT_UPLOADS) {
+      return res.status(400).json({ error: `count must be between 1 and ${MAX_DIRECT_UPLOADS}` });
+    }
+    const storage = getStorage();
+    res.json({ storage: storage.name, uploads: Array.from({ length: count }, () => storage.createDirectUpload()) });
+  } catch (err) {
+    console.error("Error creating direct uploads:", err);
+    res.status(500).json({ error: "Failed to create direct uploads" });
+  }
+});
+
+// Upload target of the local storage driver (the signed token is the authorization)
+app.put("/api/uploads/:token", async (req, res) => {
+  const storage = getStorage();
+  if (typeof storage.receiveDirectUpload !== "function") {
+    return res.status(404).json({ error: "Direct uploads go to the storage provider" });
+  }
+  try {
+    const { url } = await storage.receiveDirectUpload(req.params.token, req);
+    res.status(201).json({ url });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error receiving upload:", err);
+    res.status(500).json({ error: "Failed to store upload" });
+  }
+});
+
+// Add images: multipart "images" files, or JSON { uploads: [URL of a direct upload] }.
+// ?position= inserts them there instead of at the end (0 makes the first one the cover).
+app.post("/api/products/:id/images", authenticate, requirePermission("products:update"), upload.array("images", 20), async (req, res) => {
+  let added = [];
+  try {
+    const product = await getProductForImages(req, res);
+    if (!product) {
+      return;
+    }
+    const position = req.query.position === undefined ? (product.images || []).length : Number(req.query.position);
+    if (!Number.isInteger(position) || position < 0) {
+      return res.status(400).json({ error: "position must be a whole number of 0 or more" });
+    }
+
+    const storage = getStorage();
+    const directUploads = (req.body || {}).uploads;
+    let buffers;
+    if (req.files && req.files.length > 0) {
+      buffers = req.files.map(file => ({ buffer: file.buffer, originalname: file.originalname }));
+    } else if (Array.isArray(directUploads) && directUploads.length > 0 && directUploads.length <= MAX_DIRECT_UPLOADS) {
+      if (directUploads.some(url => !storage.isDirectUpload(url))) {
+        return res.status(400).json({ error: "uploads must be URLs returned by a direct upload" });
+      }
+      buffers = [];
+      for (const url of directUploads) {
+        buffers.push({ buffer: await storage.read(url), originalname: url });
+      }
+    } else {
+      return res.status(400).json({ error: `Send image files or 1 to ${MAX_DIRECT_UPLOADS} direct upload URLs` });
+    }
+
+    const { processed, errors: imageErrors } = await processUploads(buffers);
+    if (imageErrors) {
+      return sendValidationErrors(res, imageErrors);
+    }
+    added = await uploadImages(processed);
+
+    const images = [...(product.images || [])];
+    images.splice(Math.min(position, images.length), 0, ...added);
+    const result = await saveProductImages(req, product, { images });
+    if (!result.product) {
+      await discardUploadedImages(added);
+      return res.status(result.status).json(result.body);
+    }
+    added = [];
+
+    // The raw direct uploads aren't needed once their processed files are stored
+    if (!req.files || req.files.length === 0) {
+      await deleteFiles(directUploads);
+    }
+    invalidateSearchIndex();
+    res.status(201).json({ product: withImageDetails(result.product) });
+  } catch (err) {
+    await discardUploadedImages(added);
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error adding product images:", err);
+    res.status(500).json({ error: "Failed to add images" });
+  }
+});
+
+// Edit one image: { url, alt: { <lang>: text } } (alt replaces the image's alt texts)
+app.patch("/api/products/:id/images", authenticate, requirePermission("products:update", "products:translate"), async (req, res) => {
+  try {
+    const { url, alt } = req.body || {};
+    if (!alt || typeof alt !== "object" || Array.isArray(alt)) {
+      return res.status(400).json({ error: "alt must be an object keyed by language" });
+    }
+    const product = await getProductForImages(req, res);
+    if (!product) {
+      return;
+    }
+    const index = findImageIndex(product, url);
+    if (index === -1) {
+      return res.status(404).json({ error: "Image not found on this product" });
+    }
+
+    const images = [...product.images];
+    images[index] = { ...normalizeImage(images[index]), alt };
+    const result = await saveProductImages(req, product, { images });
+    if (!result.product) {
+      return res.status(result.status).json(result.body);
+    }
+    res.json({ product: withImageDetails(result.product) });
+  } catch (err) {
+    console.error("Error updating product image:", err);
+    res.status(500).json({ error: "Failed to update image" });
+  }
+});
+
+// Remove one image: { url }. Variants stop showing it too.
+app.delete("/api/products/:id/images", authenticate, requirePermission("products:update"), async (req, res) => {
+  try {
+    const { url } = req.body || {};
+    const product = await getProductForImages(req, res);
+    if (!product) {
+      return;
+    }
+    const index = findImageIndex(product, url);
+    if (index === -1) {
+      return res.status(404).json({ error: "Image not found on this product" });
+    }
+
+    const changes = { images: product.images.filter((_, i) => i !== index) };
+    if (Array.isArray(product.variants)) {
+      changes.variants = product.variants.map(variant => (Array.isArray(variant.images)
+        ? { ...variant, images: variant.images.filter(image => image !== url) }
+        : variant));
+    }
+    const result = await saveProductImages(req, product, changes);
+    if (!result.product) {
+      return res.status(result.status).json(result.body);
+    }
+    invalidateSearchIndex();
+    res.json({ product: withImageDetails(result.product) });
+  } catch (err) {
+    console.error("Error removing product image:", err);
+    res.status(500).json({ error: "Failed to remove image" });
+  }
+});
+
+// Reorder images: { urls } with every image URL of the product in the new order
+app.put("/api/products/:id/images/order", authenticate, requirePermission("products:update"), async (req, res) => {
+  try {
+    const { urls } = req.body || {};
+    const product = await getProductForImages(req, res);
+    if (!product) {
+      return;
+    }
+    const current = (product.images || []).map(getImageUrl);
+    if (!Array.isArray(urls) || urls.length !== current.length || new Set(urls).size !== urls.length || urls.some(url => !current.includes(url))) {
+      return res.status(400).json({ error: "urls must list every image of the product exactly once" });
+    }
+
+    const images = urls.map(url => product.images[current.indexOf(url)]);
+    const result = await saveProductImages(req, product, { images });
+    if (!result.product) {
+      return res.status(result.status).json(result.body);
+    }
+    invalidateSearchIndex();
+    res.json({ product: withImageDetails(result.product) });
+  } catch (err) {
+    console.error("Error reordering product images:", err);
+    res.status(500).json({ error: "Failed to reorder images" });
+  }
+});
+
+// Make an image the cover (first image): { url }
+app.put("/api/products/:id/images/cover", authenticate, requirePermission("products:update"), async (req, res) => {
+  try {
+    const { url } = req.body || {};
+    const product = await getProductForImages(req, res);
+    if (!product) {
+      return;
+    }
+    const index = findImageIndex(product, url);
+    if (index === -1) {
+      return res.status(404).json({ error: "Image not found on this product" });
+    }
+    if (index === 0) {
+      return res.json({ product: withImageDetails(product) });
+    }
+
+    const images = [product.images[index], ...product.images.filter((_, i) => i !== index)];
+    const result = await saveProductImages(req, product, { images });
+    if (!result.product) {
+      return res.status(result.status).json(result.body);
+    }
+    invalidateSearchIndex();
+    res.json({ product: withImageDetails(result.product) });
+  } catch (err) {
+    console.error("Error setting cover image:", err);
+    res.status(500).json({ error: "Failed to set cover image" });
+  }
+});
+
+// Categories & Curated Collections
+
+// Translated names ({ lang: { name, description? } }) for categories and collections.
+// Required languages need a name. Returns { translations } or { error: { path, message } }.
+function parseNameTranslations(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return { error: { path: "translations", message: "must be an object keyed by language" } };
+  }
+  const translations = {};
+  for (const [lang, translation] of Object.entries(value)) {
+    if (!SUPPORTED_LANGUAGES.includes(lang)) {
+      return { error: { path: `translations.${lang}`, message: "is not a supported language" } };
+    }
+    if (!translation || typeof translation.name !== "string" || !translation.name.trim()) {
+      return { error: { path: `translations.${lang}.name`, message: "is required" } };
+    }
+    translations[lang] = {
+      name: translation.name.trim(),
+      ...(translation.description !== undefined && { description: String(translation.description) })
+    };
+  }
+  const missing = REQUIRED_LANGUAGES.find(lang => !translations[lang]);
+  if (missing) {
+    return { error: { path: `translations.${missing}.name`, message: "is required" } };
+  }
+  return { translations };
+}
+
+function localizeCategory(category, lang) {
+  const translation = pickTranslation(category, lang);
+  return {
+    id: category.id,
+    slug: category.slug,
+    parentId: category.parentId,
+    position: category.position,
+    name: translation ? translation.name : category.slug,
+    description: translation ? (translation.description || "") : ""
+  };
+}
+
+// Nest a flat (position-ordered) category list under `children`
+function buildCategoryTree(categories, lang) {
+  const nodes = new Map(categories.map(c => [c.id, { ...localizeCategory(c, lang), children: [] }]));
+  const roots = [];
+  for (const category of categories) {
+    const node = nodes.get(category.id);
+    const parent = category.parentId ? nodes.get(category.parentId) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+  return roots;
+}
+
+function sendCategoryError(res, err, fallback) {
+  if (err.status === 400 || err.status === 409) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`${fallback}:`, err);
+  return res.status(500).json({ error: fallback });
+}
+
+// Category tree (?lang=). ?flat=true returns the list with parentId instead.
+app.get("/api/categories", async (req, res) => {
+  try {
+    const lang = normalizeLanguage(req.query.lang) || DEFAULT_LANGUAGE;
+    const categories = await getCategories();
+    if (req.query.flat === "true") {
+      return res.json(categories.map(c => localizeCategory(c, lang)));
+    }
+    res.json(buildCategoryTree(categories, lang));
+  } catch (err) {
+    console.error("Error fetching categories:", err);
+    res.status(500).json({ error: "Failed to fetch categories" });
+  }
+});
+
+// One category by id or slug, with its path from the root and its children
+app.get("/api/categories/:id", async (req, res) => {
+  try {
+    const lang = normalizeLanguage(req.query.lang) || DEFAULT_LANGUAGE;
+    const category = await getCategory(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+    const categories = await getCategories();
+    const byId = new Map(categories.map(c => [c.id, c]));
+    res.json({
+      ...localizeCategory(category, lang),
+      translations: category.translations,
+      path: (category.ancestors || []).map(id => byId.get(id)).filter(Boolean).map(c => localizeCategory(c, lang)),
+      children: categories.filter(c => c.parentId === category.id).map(c => localizeCategory(c, lang))
+    });
+  } catch (err) {
+    console.error("Error fetching category:", err);
+    res.status(500).json({ error: "Failed to fetch category" });
+  }
+});
+
+// Create a category: { translations, parentId?, position? }
+app.post("/api/admin/categories", authenticate, requirePermission("categories:manage"), async (req, res) => {
+  try {
+    const { translations, error } = parseNameTranslations((req.body || {}).translations);
+    if (error) {
+      return sendValidationErrors(res, [error]);
+    }
+    const position = req.body.position === undefined ? undefined : parseInt(req.body.position);
+    if (Number.isNaN(position) || position < 0) {
+      return sendValidationErrors(res, [{ path: "position", message: "must be a whole number of 0 or more" }]);
+    }
+
+    const category = await createCategory({ parentId: req.body.parentId || null, translations, position });
+    await audit(req, "category.create", "category", category.id, null, category);
+    console.log(`🗂️ Category created: ${category.slug}`);
+    res.status(201).json({ category });
+  } catch (err) {
+    sendCategoryError(res, err, "Failed to create category");
+  }
+});
+
+// Update a category: { translations?, parentId? (null for top level), position? }
+app.patch("/api/admin/categories/:id", authenticate, requirePermission("categories:manage"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const changes = {};
+    if (body.translations !== undefined) {
+      const { translations, error } = parseNameTranslations(body.translations);
+      if (error) {
+        return sendValidationErrors(res, [error]);
+      }
+      changes.translations = translations;
+    }
+    if (body.position !== undefined) {
+      changes.position = parseInt(body.position);
+      if (Number.isNaN(changes.position) || changes.position < 0) {
+        return sendValidationErrors(res, [{ path: "position", message: "must be a whole number of 0 or more" }]);
+      }
+    }
+    if (body.parentId !== undefined) {
+      changes.parentId = body.parentId;
+    }
+
+    const before = await getCategory(req.params.id);
+    const category = await updateCategory(req.params.id, changes);
+    if (!category) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+    await audit(req, "category.update", "category", category.id, before, category);
+    res.json({ category });
+  } catch (err) {
+    sendCategoryError(res, err, "Failed to update category");
+  }
+});
+
+// Order a parent's subcategories: { parentId (null for top level), ids: [...] }
+app.put("/api/admin/categories/order", authenticate, requirePermission("categories:manage"), async (req, res) => {
+  try {
+    const { parentId = null, ids } = req.body || {};
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => !/^[a-f0-9]{24}$/i.test(String(id)))) {
+      return res.status(400).json({ error: "ids must be a list of category ids" });
+    }
+    const updated = await reorderCategories(parentId, ids);
+    await audit(req, "category.reorder", "category", parentId, null, { ids });
+    res.json({ updated });
+  } catch (err) {
+    sendCategoryError(res, err, "Failed to reorder categories");
+  }
+});
+
+// Delete a category (it must not have subcategories). Products and promotions lose the category.
+app.delete("/api/admin/categories/:id", authenticate, requirePermission("categories:manage"), async (req, res) => {
+  try {
+    const category = await getCategory(req.params.id);
+    if (!category || !(await deleteCategory(category.id))) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+    await audit(req, "category.delete", "category", category.id, category, null);
+    res.json({ message: "Category deleted" });
+  } catch (err) {
+    sendCategoryError(res, err, "Failed to delete category");
+  }
+});
+
+function localizeProductCollection(collection, lang) {
+  const translation = pickTranslation(collection, lang);
+  return {
+    id: collection.id,
+    slug: collection.slug,
+    name: translation ? translation.name : collection.slug,
+    description: translation ? (translation.description || "") : "",
+    productCount: collection.productIds.length
+  };
+}
+
+// Curated collections (?lang=)
+app.get("/api/collections", async (req, res) => {
+  try {
+    const lang = normalizeLanguage(req.query.lang) || DEFAULT_LANGUAGE;
+    const collections = await getProductCollections();
+    res.json(collections.map(c => localizeProductCollection(c, lang)));
+  } catch (err) {
+    console.error("Error fetching collections:", err);
+    res.status(500).json({ error: "Failed to fetch collections" });
+  }
+});
+
+// A collection by id or slug with its products in curated order. The storefront
+// only gets live products; admins get all of them.
+app.get("/api/collections/:id", optionalAuthenticate, async (req, res) => {
+  try {
+    const lang = normalizeLanguage(req.query.lang) || DEFAULT_LANGUAGE;
+    const collection = await getProductCollection(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ error: "Collection not found" });
+    }
+    const products = (await getProductsByIds(collection.productIds))
+      .filter(product => req.admin || isProductPublic(product))
+      .map(product => localizeProduct(withAvailability(product), lang));
+    res.json({
+      ...localizeProductCollection(collection, lang),
+      ...(req.admin && { translations: collection.translations, productIds: collection.productIds }),
+      products
+    });
+  } catch (err) {
+    console.error("Error fetching collection:", err);
+    res.status(500).json({ error: "Failed to fetch collection" });
+  }
+});
+
+// Validation errors for product ids that don't exist
+async function checkProductIds(productIds) {
+  const found = await getProductsByIds(productIds);
+  const foundIds = found.map(p => p.id);
+  const unknown = productIds.filter(id => !foundIds.includes(String(id)));
+  return unknown.length > 0 ? [{ path: "productIds", message: `unknown product: ${unknown.join(", ")}` }] : [];
+}
+
+// Create a collection: { translations, slug?, productIds? }
+app.post("/api/admin/collections", authenticate, requirePermission("collections:manage"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { translations, error } = parseNameTranslations(body.translations);
+    if (error) {
+      return sendValidationErrors(res, [error]);
+    }
+    const productIds = body.productIds === undefined ? [] : body.productIds;
+    if (!Array.isArray(productIds)) {
+      return sendValidationErrors(res, [{ path: "productIds", message: "must be a list of product ids" }]);
+    }
+    const problems = await checkProductIds(productIds);
+    if (problems.length > 0) {
+      return sendValidationErrors(res, problems);
+    }
+
+    const collection = await createProductCollection({ slug: body.slug, translations, productIds });
+    await audit(req, "collection.create", "collection", collection.id, null, collection);
+    res.status(201).json({ collection });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "A collection with this slug already exists" });
+    }
+    console.error("Error creating collection:", err);
+    res.status(500).json({ error: "Failed to create collection" });
+  }
+});
+
+// Update a collection: { translations?, slug?, productIds? (replaces the list and its order) }
+app.patch("/api/admin/collections/:id", authenticate, requirePermission("collections:manage"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const changes = {};
+    if (body.translations !== undefined) {
+      const { translations, error } = parseNameTranslations(body.translations);
+      if (error) {
+        return sendValidationErrors(res, [error]);
+      }
+      changes.translations = translations;
+    }
+    if (body.slug !== undefined) {
+      changes.slug = String(body.slug);
+    }
+    if (body.productIds !== undefined) {
+      if (!Array.isArray(body.productIds)) {
+        return sendValidationErrors(res, [{ path: "productIds", message: "must be a list of product ids" }]);
+      }
+      const problems = await checkProductIds(body.productIds);
+      if (problems.length > 0) {
+        return sendValidationErrors(res, problems);
+      }
+      changes.productIds = body.productIds;
+    }
+
+    const before = await getProductCollection(req.params.id);
+    const collection = await updateProductCollection(req.params.id, changes);
+    if (!collection) {
+      return res.status(404).json({ error: "Collection not found" });
+    }
+    await audit(req, "collection.update", "collection", collection.id, before, collection);
+    res.json({ collection });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "A collection with this slug already exists" });
+    }
+    console.error("Error updating collection:", err);
+    res.status(500).json({ error: "Failed to update collection" });
+  }
+});
+
+// Add (or move) a product: { productId, position? } — position 0 puts it first
+app.post("/api/admin/collections/:id/products", authenticate, requirePermission("collections:manage"), async (req, res) => {
+  try {
+    const { productId, position: rawPosition } = req.body || {};
+    const position = rawPosition === undefined ? undefined : parseInt(rawPosition);
+    if (Number.isNaN(position) || position < 0) {
+      return sendValidationErrors(res, [{ path: "position", message: "must be a whole number of 0 or more" }]);
+    }
+    const product = productId !== undefined ? await getProductById(String(productId)) : null;
+    if (!product) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    const collection = await addProductToCollection(req.params.id, product.id, position);
+    if (!collection) {
+      return res.status(404).json({ error: "Collection not found" });
+    }
+    await audit(req, "collection.add-product", "collection", collection.id, null, { productId: product.id, position });
+    res.json({ collection });
+  } catch (err) {
+    console.error("Error adding product to collection:", err);
+    res.status(500).json({ error: "Failed to add product to collection" });
+  }
+});
+
+app.delete("/api/admin/collections/:id/products/:productId", authenticate, requirePermission("collections:manage"), async (req, res) => {
+  try {
+    const collection = await removeProductFromCollection(req.params.id, req.params.productId);
+    if (!collection) {
+      return res.status(404).json({ error: "Collection not found" });
+    }
+    await audit(req, "collection.remove-product", "collection", collection.id, { productId: req.params.productId }, null);
+    res.json({ collection });
+  } catch (err) {
+    console.error("Error removing product from collection:", err);
+    res.status(500).json({ error: "Failed to remove product from collection" });
+  }
+});
+
+app.delete("/api/admin/collections/:id", authenticate, requirePermission("collections:manage"), async (req, res) => {
+  try {
+    const collection = await getProductCollection(req.params.id);
+    if (!collection || !(await deleteProductCollection(collection.id))) {
+      return res.status(404).json({ error: "Collection not found" });
+    }
+    await audit(req, "collection.delete", "collection", collection.id, collection, null);
+    res.json({ message: "Collection deleted" });
+  } catch (err) {
+    console.error("Error deleting collection:", err);
+    res.status(500).json({ error: "Failed to delete collection" });
+  }
+});
+
+// Validate one storefront product for import. Name / description may be given
+// directly (default language) or as translations; images are existing URLs or image objects.
+// Returns { product } or { error }.
+function parseStaticProduct(input) {
+  if (!input || input.id === undefined || input.id === null || String(input.id).trim() === "") {
+    return { error: "Product id is required" };
+  }
+
+  const translations = input.translations && typeof input.translations === "object" ? { ...input.translations } : {};
+  if (input.name && !translations[DEFAULT_LANGUAGE]) {
+    translations[DEFAULT_LANGUAGE] = { name: String(input.name), description: String(input.description || "") };
+  }
+  if (Object.keys(translations).length === 0) {
+    return { error: "A name or translations are required" };
+  }
+
+  const images = input.images === undefined ? [] : input.images;
+  if (!Array.isArray(images) || images.some(image => !getImageUrl(image) || !String(getImageUrl(image)).trim())) {
+    return { error: "images must be a list of URLs or image objects" };
+  }
+  if (input.specs !== undefined && !Array.isArray(input.specs)) {
+    return { error: "specs must be a list" };
+  }
+
+  const price = parsePrice(input.price);
+  const weight = parseMeasurement(input.weight);
+  const dimensions = parseDimensions(input.dimensions);
+  const stock = parseStock(input.stock);
+  const options = parseOptions(input.options);
+  const variants = input.variants === undefined ? undefined : parseVariants(input.variants);
+  if ([price, weight, dimensions, stock, options, variants].some(v => Number.isNaN(v))) {
+    return { error: "Invalid price, weight, dimensions, stock, options or variants" };
+  }
+
+  const { publication, error } = parsePublication(input);
+  if (error) {
+    return { error };
+  }
+
+  const product = {
+    id: input.id,
+    images,
+    specs: input.specs || [],
+    translations,
+    ...(price !== undefined && { price }),
+    ...(weight !== undefined && { weight }),
+    ...(dimensions !== undefined && { dimensions }),
+    ...(stock !== undefined && stock !== null && { stock }),
+    ...(options !== undefined && { options }),
+    ...(variants !== undefined && { variants }),
+    ...publication
+  };
+  const problems = validateProduct(product);
+  if (problems.length > 0) {
+    return { error: formatValidationErrors(problems) };
+  }
+  return { product };
+}
+
+// Static product visibility (public). Compatibility view during the move to real
+// products: `hidden` lists storefront ids that shouldn't be shown, whether they
+// were imported (and aren't live) or are still only in the config document.
+app.get("/api/static-products", async (req, res) => {
+  try {
+    const data = await getStaticProducts();
+    res.json(data);
+  } catch (err) {
+    console.error("Error fetching static products:", err);
+    res.status(500).json({ error: "Failed to fetch static products status" });
+  }
+});
+
+// Show / hide a static product (admin only). Imported products switch between
+// published and archived; the flip is a single atomic update either way.
+app.post("/api/static-products/toggle", authenticate, requirePermission("static-products:toggle"), async (req, res) => {
+  try {
+    const { productId } = req.body;
+    if (!productId) {
+      return res.status(400).json({ error: "Product ID is required" });
+    }
+
+    const result = await toggleStaticProduct(productId, { actor: req.admin.email });
+    if (!result) {
+      return res.status(409).json({ error: "Product is in the trash, restore it first" });
+    }
+    if (result.imported) {
+      invalidateSearchIndex();
+    }
+
+    const { hidden } = await getStaticProducts();
+    await audit(req, "static-product.toggle", "staticProduct", result.productId, { hidden: !result.hidden }, { hidden: result.hidden });
+    res.json({ hidden, productId: result.productId, imported: result.imported, message: "Product visibility updated" });
+  } catch (err) {
+    console.error("Error updating static product:", err);
+    res.status(500).json({ error: "Failed to update static product" });
+  }
+});
+
+// Import storefront static products as real products: { products: [...] }.
+// Ids are kept; nothing is imported when any product is invalid.
+app.post("/api/admin/static-products/import", authenticate, requirePermission("products:create"), async (req, res) => {
+  try {
+    const input = req.body && req.body.products;
+    if (!Array.isArray(input) || input.length === 0) {
+      return res.status(400).json({ error: "products must be a non-empty list" });
+    }
+
+    const products = [];
+    const errors = [];
+    input.forEach((item, index) => {
+      const { product, error } = parseStaticProduct(item);
+      if (error) {
+        errors.push({ index, id: item && item.id !== undefined ? String(item.id) : null, error });
+      } else {
+        products.push(product);
+      }
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Some products are invalid", details: errors });
+    }
+
+    const result = await importStaticProducts(products, { actor: req.admin.email });
+    console.log(`📥 Imported ${result.imported.length} static product(s), skipped ${result.skipped.length}, conflicts ${result.conflicts.length}`);
+    if (result.imported.length > 0) {
+      invalidateSearchIndex();
+    }
+    await audit(req, "static-product.import", "staticProduct", null, null, result);
+    res.json(result);
+  } catch (err) {
+    console.error("Error importing static products:", err);
+    res.status(500).json({ error: "Failed to import static products" });
+  }
+});
+
+// Product Import / Export
+//
+// JSON uses the export shape below (the format of data/products.json). CSV flattens
+// it for spreadsheets: name_<lang> / description_<lang> columns, one spec:<label>
+// column per spec, image URLs and category ids separated by "|" and options / variants as JSON.
+// An empty categories cell removes the product from all categories.
+const PRODUCT_EXPORT_FIELDS = [
+  "id", "slugs", "status", "publishAt", "unpublishAt", "price", "currency", "stock",
+  "weight", "dimensions", "options", "variants", "images", "categories", "specs", "translations"
+];
+const LIST_SEPARATOR = "|";
+const MAX_IMPORT_ROWS = 5000;
+
+function toExportProduct(product) {
+  const exported = {};
+  for (const field of PRODUCT_EXPORT_FIELDS) {
+    if (product[field] !== undefined && product[field] !== null) {
+      exported[field] = product[field];
+    }
+  }
+  return exported;
+}
+
+function getProductCsvColumns(products) {
+  const specLabels = [];
+  for (const product of products) {
+    for (const spec of product.specs || []) {
+      if (spec && spec.label && !specLabels.includes(spec.label)) {
+        specLabels.push(spec.label);
+      }
+    }
+  }
+  return [
+    "id", "slug", "status", "publishAt", "unpublishAt", "price", "currency", "stock",
+    "weight", "length", "width", "height", "images", "categories", "options", "variants",
+    ...SUPPORTED_LANGUAGES.flatMap(lang => [`name_${lang}`, `description_${lang}`]),
+    ...specLabels.map(label => `spec:${label}`)
+  ];
+}
+
+function productToCsvRecord(product) {
+  const dimensions = product.dimensions || {};
+  const translations = product.translations || {};
+  const record = {
+    id: product.id,
+    slug: (product.slugs || {})[DEFAULT_LANGUAGE] || "",
+    status: product.status || "published",
+    publishAt: product.publishAt,
+    unpublishAt: product.unpublishAt,
+    price: product.price,
+    currency: product.currency,
+    stock: product.stock,
+    weight: product.weight,
+    length: dimensions.length,
+    width: dimensions.width,
+    height: dimensions.height,
+    images: (product.images || []).map(getImageUrl).join(LIST_SEPARATOR),
+    categories: (product.categories || []).join(LIST_SEPARATOR),
+    options: Array.isArray(product.options) && product.options.length > 0 ? JSON.stringify(product.options) : "",
+    variants: Array.isArray(product.variants) && product.variants.length > 0 ? JSON.stringify(product.variants) : ""
+  };
+  for (const lang of SUPPORTED_LANGUAGES) {
+    record[`name_${lang}`] = translations[lang] ? translations[lang].name : "";
+    record[`description_${lang}`] = translations[lang] ? translations[lang].description : "";
+  }
+  for (const spec of product.specs || []) {
+    if (spec && spec.label) {
+      record[`spec:${spec.label}`] = spec.value;
+    }
+  }
+  return record;
+}
+
+// Turn a CSV record into the JSON import shape. Blank cells are left out so they
+// don't change the product, except that spec columns replace the specs as a whole.
+function csvRecordToProductInput(record) {
+  const cell = key => (record[key] === undefined ? "" : String(record[key]).trim());
+  const input = {};
+  for (const key of ["id", "slug", "status", "publishAt", "unpublishAt", "price", "currency", "stock", "weight", "options", "variants"]) {
+    if (cell(key)) {
+      input[key] = cell(key);
+    }
+  }
+  if (["length", "width", "height"].some(cell)) {
+    input.dimensions = { length: cell("length"), width: cell("width"), height: cell("height") };
+  }
+  if (cell("images")) {
+    input.images = cell("images").split(LIST_SEPARATOR).map(url => url.trim()).filter(Boolean);
+  }
+  if (record.categories !== undefined) {
+    input.categories = cell("categories").split(LIST_SEPARATOR).map(id => id.trim()).filter(Boolean);
+  }
+  for (const lang of SUPPORTED_LANGUAGES) {
+    const name = cell(`name_${lang}`);
+    const description = cell(`description_${lang}`);
+    if (name || description) {
+      input.translations = input.translations || {};
+      input.translations[lang] = { ...(name && { name }), ...(description && { description }) };
+    }
+  }
+  const specColumns = Object.keys(record).filter(key => key.startsWith("spec:") && key.length > 5);
+  if (specColumns.length > 0) {
+    input.specs = specColumns.filter(cell).map(key => ({ label: key.slice(5), value: cell(key) }));
+  }
+  return input;
+}
+
+// Validate an imported product on top of the product it updates (null when creating).
+// Only fields present in the input change. Returns { fields } or { error }.
+function parseImportedProduct(input, existing) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Expected a product object" };
+  }
+  const fields = {};
+
+  if (input.translations !== undefined) {
+    if (!input.translations || typeof input.translations !== "object" || Array.isArray(input.translations)) {
+      return { error: "translations must be an object keyed by language" };
+    }
+    const translations = { ...((existing && existing.translations) || {}) };
+    for (const [lang, translation] of Object.entries(input.translations)) {
+      if (!SUPPORTED_LANGUAGES.includes(lang)) {
+        return { error: `Unsupported language: ${lang}` };
+      }
+      if (!translation || typeof translation !== "object") {
+        return { error: `translations.${lang} must be an object` };
+      }
+      translations[lang] = {
+        ...translations[lang],
+        ...(translation.name !== undefined && { name: String(translation.name) }),
+        ...(translation.description !== undefined && { description: String(translation.description) })
+      };
+    }
+    fields.translations = translations;
+  }
+
+  if (input.images !== undefined) {
+    if (!Array.isArray(input.images) || input.images.some(image => !/^https?:\/\/\S+$/i.test(String(getImageUrl(image))))) {
+      return { error: "images must be a list of http(s) URLs or image objects" };
+    }
+    // URLs of images the product already has keep their stored metadata
+    fields.images = existing
+      ? resolveExistingImages(input.images, existing)
+      : input.images.map(image => (typeof image === "string" ? image : normalizeImage(image)));
+  }
+
+  if (input.specs !== undefined) {
+    if (!Array.isArray(input.specs) || input.specs.some(spec => !spec || !spec.label)) {
+      return { error: "specs must be a list of { label, value }" };
+    }
+    fields.specs = input.specs.map(spec => ({
+      label: String(spec.label),
+      value: spec.value === undefined || spec.value === null ? "" : String(spec.value)
+    }));
+  }
+
+  const price = parsePrice(input.price);
+  if (Number.isNaN(price)) {
+    return { error: "price must be a non-negative number" };
+  }
+  const weight = parseMeasurement(input.weight);
+  const dimensions = parseDimensions(input.dimensions);
+  if (Number.isNaN(weight) || Number.isNaN(dimensions)) {
+    return { error: "weight and dimensions (length, width, height) must be positive numbers" };
+  }
+  const stock = parseStock(input.stock);
+  const options = parseOptions(input.options);
+  const variants = input.variants === undefined ? undefined : parseVariants(input.variants);
+  if (Number.isNaN(stock) || Number.isNaN(options) || Number.isNaN(variants)) {
+    return { error: "stock must be a whole number of 0 or more, options a list of { name, values } and every variant needs an id or SKU" };
+  }
+  if (input.currency !== undefined && input.currency !== "") {
+    fields.currency = String(input.currency).trim().toLowerCase();
+  }
+  if (input.categories !== undefined) {
+    const categories = parseCategoryIds(input.categories);
+    if (!categories) {
+      return { error: "categories must be a list of category ids" };
+    }
+    fields.categories = categories;
+  }
+  Object.assign(fields, {
+    ...(price !== undefined && { price }),
+    ...(weight !== undefined && { weight }),
+    ...(dimensions !== undefined && { dimensions }),
+    ...(stock !== undefined && { stock }),
+    ...(options !== undefined && { options }),
+    ...(variants !== undefined && { variants })
+  });
+
+  const { publication, changed, error } = parsePublication(input, existing || {});
+  if (error) {
+    return { error };
+  }
+  if (changed || !existing) {
+    Object.assign(fields, publication);
+  }
+
+  if (!existing) {
+    if (!Object.values(fields.translations || {}).some(translation => translation.name)) {
+      return { error: "A name is required for new products" };
+    }
+    if (!fields.images || fields.images.length === 0) {
+      return { error: "At least one image URL is required for new products" };
+    }
+    if (stock === null) {
+      delete fields.stock;
+    }
+    fields.specs = fields.specs || [];
+  }
+  return { fields };
+}
+
+// Match every imported product to an existing one (by id, then slug) and validate it.
+// Unknown ids are created with that id. Nothing is written here.
+// Returns { plan: [{ row, action, id, existing, fields }], errors: [{ row, id, error }] }.
+async function planProductImport(inputs, firstRow, actor) {
+  const plan = [];
+  const errors = [];
+  const targets = new Set();
+
+  for (let i = 0; i < inputs.length; i++) {
+    const row = firstRow + i;
+    const input = inputs[i] || {};
+    const ref = input.id !== undefined && input.id !== null && String(input.id).trim() !== "" ? String(input.id).trim() : null;
+
+    let existing = null;
+    if (ref) {
+      existing = await getProductById(ref, { includeDeleted: true });
+      if (existing && existing.deletedAt) {
+        errors.push({ row, id: ref, error: `Product ${ref} is in the trash` });
+        continue;
+      }
+    } else {
+      for (const slug of [input.slug, ...Object.values(input.slugs || {})].filter(Boolean)) {
+        const found = await findProductByIdOrSlug(String(slug));
+        if (found) {
+          existing = found.product;
+          break;
+        }
+      }
+    }
+
+    const key = existing ? existing.id : ref;
+    if (key && targets.has(key)) {
+      errors.push({ row, id: key, error: "Product appears more than once in the import" });
+      continue;
+    }
+
+    const { fields, error } = parseImportedProduct(input, existing);
+    if (error) {
+      errors.push({ row, id: key, error });
+      continue;
+    }
+    const problems = [
+      ...validateProduct({ ...(existing || {}), ...fields }),
+      ...await checkCategoryIds(fields.categories),
+      ...await checkVariantSkus(fields.variants, existing ? existing.id : undefined)
+    ];
+    if (problems.length > 0) {
+      errors.push({ row, id: key, error: formatValidationErrors(problems), details: problems });
+      continue;
+    }
+    if (key) {
+      targets.add(key);
+    }
+    if (!existing && ref) {
+      fields.id = normalizeProductId(ref);
+    }
+
+    let action = "create";
+    if (existing) {
+      // Re-importing an export shouldn't create revisions for values that are the same
+      for (const field of Object.keys(fields)) {
+        if (JSON.stringify(fields[field]) === JSON.stringify(existing[field] === undefined ? null : existing[field])) {
+          delete fields[field];
+        }
+      }
+      action = Object.keys(fields).length > 0 ? "update" : "unchanged";
+    }
+    if (fields.translations) {
+      fields.translationMeta = markHumanTranslations(
+        existing && existing.translations, fields.translations, existing && existing.translationMeta, actor
+      );
+    }
+    plan.push({ row, action, id: key, existing, fields });
+  }
+  return { plan, errors };
+}
+
+// Products from an import request: a .csv or .json file upload ("file"), or a JSON
+// body (a list, or { products }). Rows are numbered like the source: CSV rows count
+// the header line, JSON rows start at 1.
+function readImportInput(req) {
+  if (req.file) {
+    const text = req.file.buffer.toString("utf8");
+    if (/\.csv$/i.test(req.file.originalname)) {
+      return { inputs: parseCsvRecords(text).map(csvRecordToProductInput), firstRow: 2 };
+    }
+    const data = JSON.parse(text);
+    return { inputs: Array.isArray(data) ? data : data.products, firstRow: 1 };
+  }
+  return { inputs: Array.isArray(req.body) ? req.body : (req.body || {}).products, firstRow: 1 };
+}
+
+// Export all products (not trashed) as ?format=json (default) or csv
+app.get("/api/admin/products/export", authenticate, requirePermission("products:export"), async (req, res) => {
+  try {
+    const format = req.query.format || "json";
+    if (format !== "json" && format !== "csv") {
+      return res.status(400).json({ error: "format must be json or csv" });
+    }
+
+    const products = await getProductsForExport();
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    console.log(`📤 Exporting ${products.length} product(s) as ${format}`);
+
+    if (format === "csv") {
+      res.type("text/csv; charset=utf-8");
+      // The BOM makes Excel read the file as UTF-8
+      return res.send(`\uFEFF${toCsv(products.map(productToCsvRecord), getProductCsvColumns(products))}`);
+    }
+    res.json(products.map(toExportProduct));
+  } catch (err) {
+    console.error("Error exporting products:", err);
+    res.status(500).json({ error: "Failed to export products" });
+  }
+});
+
+// Import products (see readImportInput). Existing products are matched by id or
+// slug and updated; the rest are created. ?dryRun=true only validates and reports
+// what would happen. Nothing is written when any row is invalid. A row that fails
+// while writing is reported as failed; the rows written before and after it stay.
+app.post("/api/admin/products/import", authenticate, requirePermission("products:import"), importUpload.single("file"), async (req, res) => {
+  try {
+    let source;
+    try {
+      source = readImportInput(req);
+    } catch (parseErr) {
+      return res.status(400).json({ error: `Invalid import file: ${parseErr.message}` });
+    }
+    const { inputs, firstRow } = source;
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+      return res.status(400).json({ error: "No products to import" });
+    }
+    if (inputs.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} products can be imported at once` });
+    }
+
+    const dryRun = req.query.dryRun === "true" || req.query.dryRun === "1";
+    const { plan, errors } = await planProductImport(inputs, firstRow, req.admin.email);
+    const count = action => plan.filter(item => item.action === action).length;
+    const report = {
+      dryRun,
+      created: count("create"),
+      updated: count("update"),
+      unchanged: count("unchanged"),
+      rows: plan.map(({ row, action, id }) => ({ row, action, id })),
+      errors
+    };
+
+    if (dryRun) {
+      return res.json(report);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Some rows are invalid, nothing was imported", details: errors, ...report });
+    }
+
+    const failures = [];
+    for (const item of plan) {
+      if (item.action === "unchanged") {
+        continue;
+      }
+      let product;
+      try {
+        product = item.action === "create"
+          ? await createProduct(item.fields)
+          : await updateProduct(item.id, item.fields, { actor: req.admin.email, reason: "import" });
+        if (!product) {
+          throw new Error(`Product ${item.id} no longer exists`);
+        }
+      } catch (rowErr) {
+        console.error(`Error importing row ${item.row}:`, rowErr);
+        failures.push({ row: item.row, id: item.id, error: rowErr.message });
+        item.action = "failed";
+        continue;
+      }
+
+      // The row is written; bookkeeping errors from here on don't stop the import
+      try {
+        if (item.action === "create") {
+          item.id = product.id;
+          await audit(req, "product.create", "product", product.id, null, product);
+        } else {
+          await pruneRevisionsAndImages(product.id);
+          await audit(req, "product.update", "product", product.id, item.existing, product);
+        }
+      } catch (auditErr) {
+        console.error(`⚠️ Row ${item.row} was imported, but recording it failed:`, auditErr.message);
+      }
+    }
+    invalidateSearchIndex();
+
+    const result = {
+      ...report,
+      created: count("create"),
+      updated: count("update"),
+      failed: failures.length,
+      rows: plan.map(({ row, action, id }) => ({ row, action, id })),
+      errors: failures
+    };
+    console.log(`📥 Product import: ${result.created} created, ${result.updated} updated, ${result.unchanged} unchanged, ${result.failed} failed`);
+    if (failures.length > 0) {
+      return res.status(500).json({ error: "Some rows failed to import, the other rows were imported", details: failures, ...result });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error("Error importing products:", err);
+    res.status(500).json({ error: "Failed to import products", details: err.message });
+  }
+});
+
+// Delete product
+app.delete("/api/products/:id", authenticate, requirePermission("products:delete"), async (req, res) => {
+  try {
+    console.log(`🗑️ Deleting product: ${req.params.id}`);
+    
+    const product = await getProductById(req.params.id);
+
+    // The product goes to the trash; its images are only deleted when it's purged
+    const deleted = await deleteProduct(req.params.id, { actor: req.admin.email });
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    invalidateSearchIndex();
+    await audit(req, "product.delete", "product", product ? product.id : req.params.id, product, null);
+    res.json({ message: "Product moved to trash", retentionDays: TRASH_RETENTION_DAYS });
+  } catch (err) {
+    console.error("Error deleting product:", err);
+    res.status(500).json({ error: "Failed to delete product", details: err.message });
+  }
+});
+
+// Product revision history (newest first)
+app.get("/api/products/:id/revisions", authenticate, requirePermission("products:update"), async (req, res) => {
+  try {
+    const revisions = await getProductRevisions(req.params.id);
+    res.json(revisions);
+  } catch (err) {
+    console.error("Error fetching product revisions:", err);
+    res.status(500).json({ error: "Failed to fetch product revisions" });
+  }
+});
+
+// Diff two revisions (?from=<revisionId>&to=<revisionId>, `to` defaults to the current product)
+app.get("/api/products/:id/revisions/diff", authenticate, requirePermission("products:update"), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from) {
+      return res.status(400).json({ error: "from revision id is required" });
+    }
+
+    const fromRevision = await getProductRevision(from);
+    if (!fromRevision || fromRevision.productId !== String(req.params.id)) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    let toSnapshot;
+    if (to && to !== "current") {
+      const toRevision = await getProductRevision(to);
+      if (!toRevision || toRevision.productId !== String(req.params.id)) {
+        return res.status(404).json({ error: "Revision not found" });
+      }
+      toSnapshot = toRevision.snapshot;
+    } else {
+      const current = await getProductById(req.params.id);
+      toSnapshot = current ? { ...current, _id: undefined } : null;
+    }
+
+    res.json({ from, to: to || "current", changes: diffFields(fromRevision.snapshot, toSnapshot) });
+  } catch (err) {
+    console.error("Error diffing product revisions:", err);
+    res.status(500).json({ error: "Failed to diff product revisions" });
+  }
+});
+
+// Restore a product to an earlier revision (also brings back a deleted product)
+app.post("/api/products/:id/revisions/:revisionId/restore", authenticate, requirePermission("products:update"), async (req, res) => {
+  try {
+    const revision = await getProductRevision(req.params.revisionId);
+    if (!revision || revision.productId !== String(req.params.id)) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    const before = await getProductById(req.params.id);
+    const product = await restoreProductRevision(revision, { actor: req.admin.email });
+    if (!product) {
+      return res.status(409).json({ error: "Product is in the trash, restore it from the trash first" });
+    }
+    await pruneRevisionsAndImages(product.id);
+    invalidateSearchIndex();
+    await audit(req, "product.restore", "product", product.id, before, product);
+
+    res.json({ product: withImageDetails(product), message: "Product restored" });
+  } catch (err) {
+    console.error("Error restoring product revision:", err);
+    res.status(500).json({ error: "Failed to restore product revision" });
+  }
+});
+
+// Bring back a deleted product: from the trash, or for products removed before
+// the trash existed, from the revision saved when it was deleted
+app.post("/api/products/:id/undelete", authenticate, requirePermission("products:update"), async (req, res) => {
+  try {
+    const trashed = await restoreProductFromTrash(req.params.id);
+    if (trashed) {
+      invalidateSearchIndex();
+      await audit(req, "product.restore-from-trash", "product", trashed.id, { deletedAt: true }, { deletedAt: null });
+      return res.json({ product: withImageDetails(trashed), message: "Product restored" });
+    }
+
+    const revision = await getDeletedProductRevision(req.params.id);
+    if (!revision) {
+      return res.status(404).json({ error: "No deleted product with this id" });
+    }
+
+    const product = await restoreProductRevision(revision, { actor: req.admin.email });
+    invalidateSearchIndex();
+    await audit(req, "product.undelete", "product", product.id, null, product);
+
+    res.json({ product: withImageDetails(product), message: "Product restored" });
+  } catch (err) {
+    console.error("Error undeleting product:", err);
+    res.status(500).json({ error: "Failed to restore product" });
+  }
+});
+
+// Purge one trashed product for good and delete images nothing else uses
+async function purgeTrashedProduct(id) {
+  const unreferenced = await purgeProduct(id);
+  if (unreferenced === null) {
+    return false;
+  }
+  await deleteFiles(unreferenced);
+  return true;
+}
+
+// Purge trashed products past the retention period
+async function purgeExpiredTrash() {
+  const ids = await getExpiredTrashIds();
+  let purged = 0;
+  for (const id of ids) {
+    try {
+      if (await purgeTrashedProduct(id)) {
+        purged++;
+      }
+    } catch (err) {
+      console.error(`Error purging trashed product ${id}:`, err);
+    }
+  }
+  if (purged > 0) {
+    console.log(`🔥 Purged ${purged} product(s) older than ${TRASH_RETENTION_DAYS} days from the trash`);
+  }
+  return purged;
+}
+
+// List trashed products (expired ones are purged first)
+app.get("/api/admin/trash", authenticate, requirePermission("products:update"), async (req, res) => {
+  try {
+    await purgeExpiredTrash();
+    const products = await getTrashedProducts();
+    res.json({ products: products.map(withImageDetails), retentionDays: TRASH_RETENTION_DAYS });
+  } catch (err) {
+    console.error("Error fetching trash:", err);
+    res.status(500).json({ error: "Failed to fetch trash" });
+  }
+});
+
+// Restore a product from the trash
+app.post("/api/admin/trash/:id/restore", authenticate, requirePermission("products:update"), async (req, res) => {
+  try {
+    const product = await restoreProductFromTrash(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: "Product not found in trash" });
+    }
+    invalidateSearchIndex();
+    await audit(req, "product.restore-from-trash", "product", product.id, { deletedAt: true }, { deletedAt: null });
+    res.json({ product: withImageDetails(product), message: "Product restored" });
+  } catch (err) {
+    console.error("Error restoring product from trash:", err);
+    res.status(500).json({ error: "Failed to restore product" });
+  }
+});
+
+// Permanently delete a trashed product, its revisions and its images
+app.delete("/api/admin/trash/:id", authenticate, requirePermission("products:delete"), async (req, res) => {
+  try {
+    const product = await getProductById(req.params.id, { includeDeleted: true });
+    const purged = await purgeTrashedProduct(req.params.id);
+    if (!purged) {
+      return res.status(404).json({ error: "Product not found in trash" });
+    }
+    await audit(req, "product.purge", "product", product ? product.id : req.params.id, product, null);
+    res.json({ message: "Product permanently deleted" });
+  } catch (err) {
+    console.error("Error purging product:", err);
+    res.status(500).json({ error: "Failed to purge product", details: err.message });
+  }
+});
+
+// Orphaned images: stored files no product, trashed product or revision refers to
+// (left behind by failed requests or older versions of the app). ?minAgeHours=
+// skips recent files (default 1) so uploads of a request still in progress aren't listed.
+function parseOrphanMinAge(value) {
+  if (value === undefined || value === "") {
+    return {};
+  }
+  const hours = Number(value);
+  return Number.isFinite(hours) && hours >= 0 ? { minAgeMs: hours * 60 * 60 * 1000 } : null;
+}
+
+app.get("/api/admin/images/orphans", authenticate, requirePermission("images:manage"), async (req, res) => {
+  try {
+    const options = parseOrphanMinAge(req.query.minAgeHours);
+    if (!options) {
+      return res.status(400).json({ error: "minAgeHours must be a number of 0 or more" });
+    }
+    const { scanned, orphans } = await findOrphanedFiles(options);
+    res.json({ storage: getStorage().name, scanned, orphans });
+  } catch (err) {
+    console.error("Error scanning for orphaned images:", err);
+    res.status(500).json({ error: "Failed to scan images", details: err.message });
+  }
+});
+
+// Delete orphaned images: { urls? (only these, default all), minAgeHours? }. Files
+// are checked again before deleting, so a URL that is in use is never removed.
+app.post("/api/admin/images/orphans/cleanup", authenticate, requirePermission("images:manage"), async (req, res) => {
+  try {
+    const { urls, minAgeHours } = req.body || {};
+    const options = parseOrphanMinAge(minAgeHours);
+    if (!options) {
+      return res.status(400).json({ error: "minAgeHours must be a number of 0 or more" });
+    }
+    if (urls !== undefined && (!Array.isArray(urls) || urls.some(url => typeof url !== "string"))) {
+      return res.status(400).json({ error: "urls must be a list of image URLs" });
+    }
+
+    const { orphans } = await findOrphanedFiles(options);
+    const selected = orphans.map(file => file.url).filter(url => !urls || urls.includes(url));
+    const deleted = await deleteFiles(selected);
+    await audit(req, "images.cleanup", "image", null, null, { deleted });
+    console.log(`🧹 Deleted ${deleted.length} orphaned image file(s)`);
+    res.json({ deleted, failed: selected.filter(url => !deleted.includes(url)) });
+  } catch (err) {
+    console.error("Error deleting orphaned images:", err);
+    res.status(500).json({ error: "Failed to delete orphaned images", details: err.message });
+  }
+});
+
+// Scheduled trash cleanup (Vercel Cron sends CRON_SECRET as a bearer token)
+app.get("/api/cron/purge-trash", async (req, res) => {
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret || req.headers.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  try {
+    const purged = await purgeExpiredTrash();
+    res.json({ purged });
+  } catch (err) {
+    console.error("Error purging expired trash:", err);
+    res.status(500).json({ error: "Failed to purge trash" });
+  }
+});
+
+// Promotions (discount codes)
+
+function sendPromotionErrors(res, errors) {
+  return res.status(400).json({ error: "Invalid promotion", details: errors });
+}
+
+// Targeted products and categories must exist
+async function checkPromotionTargets(promotion) {
+  const problems = promotion.productIds.length > 0 ? await checkProductIds(promotion.productIds) : [];
+  const unknownCategories = promotion.categoryIds.length > 0 ? await findUnknownCategoryIds(promotion.categoryIds) : [];
+  if (unknownCategories.length > 0) {
+    problems.push({ path: "categoryIds", message: `unknown category: ${unknownCategories.join(", ")}` });
+  }
+  return problems;
+}
+
+// Preview a code against a cart: { code, cart, lang? }. Checkout checks it again.
+app.post("/api/promotions/validate", async (req, res) => {
+  const { code, cart, lang } = req.body || {};
+  if (!code) {
+    return res.status(400).json({ error: "Code is required" });
+  }
+  if (!Array.isArray(cart) || cart.length === 0) {
+    return res.status(400).json({ error: "Cart must be a non-empty array of { id, quantity }" });
+  }
+
+  try {
+    if (await limitPromoAttempts(req, res)) {
+      return;
+    }
+    const { lines, errors } = await priceCart(cart, lang);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid cart", details: errors });
+    }
+    const applied = await applyPromotionCode(code, lines);
+    if (applied.error) {
+      return res.status(400).json({ error: applied.error, promoCode: normalizePromotionCode(code) });
+    }
+    res.json({
+      code: applied.promotion.code,
+      type: applied.promotion.type,
+      description: applied.promotion.description,
+      discount: applied.discount,
+      freeShipping: applied.freeShipping,
+      subtotal: applied.subtotal,
+      currency: CHECKOUT_CURRENCY
+    });
+  } catch (err) {
+    console.error("Error validating promotion code:", err);
+    res.status(500).json({ error: "Failed to validate code" });
+  }
+});
+
+app.get("/api/admin/promotions", authenticate, requirePermission("promotions:manage"), async (req, res) => {
+  try {
+    res.json(await getPromotions());
+  } catch (err) {
+    console.error("Error fetching promotions:", err);
+    res.status(500).json({ error: "Failed to fetch promotions" });
+  }
+});
+
+// Create a promotion: { code, type, value?, minOrderValue?, startsAt?, endsAt?, usageLimit?,
+// productIds?, categoryIds?, active?, description? } — amounts in euros
+app.post("/api/admin/promotions", authenticate, requirePermission("promotions:manage"), async (req, res) => {
+  try {
+    const { promotion: input, errors } = parsePromotionInput(req.body || {});
+    if (errors) {
+      return sendPromotionErrors(res, errors);
+    }
+    const problems = await checkPromotionTargets(input);
+    if (problems.length > 0) {
+      return sendPromotionErrors(res, problems);
+    }
+
+    const promotion = await createPromotion(input);
+    await audit(req, "promotion.create", "promotion", promotion.id, null, promotion);
+    console.log(`🏷️ Promotion ${promotion.code} created`);
+    res.status(201).json({ promotion });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "A promotion with this code already exists" });
+    }
+    console.error("Error creating promotion:", err);
+    res.status(500).json({ error: "Failed to create promotion" });
+  }
+});
+
+// Update a promotion (any fields of the create body)
+app.patch("/api/admin/promotions/:id", authenticate, requirePermission("promotions:manage"), async (req, res) => {
+  try {
+    const before = await getPromotion(req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: "Promotion not found" });
+    }
+    const { promotion: changes, errors } = parsePromotionInput(req.body || {}, before);
+    if (errors) {
+      return sendPromotionErrors(res, errors);
+    }
+    const problems = await checkPromotionTargets(changes);
+    if (problems.length > 0) {
+      return sendPromotionErrors(res, problems);
+    }
+
+    const promotion = await updatePromotion(before.id, changes);
+    if (!promotion) {
+      return res.status(404).json({ error: "Promotion not found" });
+    }
+    await audit(req, "promotion.update", "promotion", promotion.id, before, promotion);
+    res.json({ promotion });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "A promotion with this code already exists" });
+    }
+    console.error("Error updating promotion:", err);
+    res.status(500).json({ error: "Failed to update promotion" });
+  }
+});
+
+app.delete("/api/admin/promotions/:id", authenticate, requirePermission("promotions:manage"), async (req, res) => {
+  try {
+    const before = await getPromotion(req.params.id);
+    if (!before || !(await deletePromotion(before.id))) {
+      return res.status(404).json({ error: "Promotion not found" });
+    }
+    await audit(req, "promotion.delete", "promotion", before.id, before, null);
+    console.log(`🗑️ Promotion ${before.code} deleted`);
+    res.json({ message: "Promotion deleted" });
+  } catch (err) {
+    if (err.status === 409) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error("Error deleting promotion:", err);
+    res.status(500).json({ error: "Failed to delete promotion" });
+  }
+});
+
+// Uses of a promotion, newest first (held, redeemed or released)
+app.get("/api/admin/promotions/:id/redemptions", authenticate, requirePermission("promotions:manage"), async (req, res) => {
+  try {
+    const promotion = await getPromotion(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ error: "Promotion not found" });
+    }
+    res.json({ promotion, redemptions: await getPromotionRedemptions(promotion.id) });
+  } catch (err) {
+    console.error("Error fetching promotion redemptions:", err);
+    res.status(500).json({ error: "Failed to fetch redemptions" });
+  }
+});
+
+// Stripe checkout
+app.post("/create-checkout-session", async (req, res) => {
+  try {
+    const { cart, lang, shippingRateId, promoCode } = req.body || {};
+    if (!Array.isArray(cart) || cart.length === 0) {
+      return res.status(400).json({ error: "Cart must be a non-empty array of { id, quantity }" });
+    }
+
+    const { lines, errors } = await priceCart(cart, lang);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid cart", details: errors });
+    }
+
+    // The shipping price comes from the provider, not from the client, and only for
+    // a rate quoted on this cart's parcel
+    let shippingRate = null;
+    let shippingQuote = null;
+    if (shippingRateId) {
+      shippingQuote = await getShippingQuote(String(shippingRateId));
+      if (shippingQuote && JSON.stringify(shippingQuote.parcel) === JSON.stringify(buildParcel(lines))) {
+        shippingRate = await getShippingClient().getRate(String(shippingRateId));
+      }
+      if (!shippingRate || shippingRate.shipmentId !== shippingQuote.shipmentId || shippingRate.currency !== CHECKOUT_CURRENCY) {
+        return res.status(400).json({ error: "Invalid shipping rate" });
+      }
+    }
+
+    // Like prices, the discount is worked out here from the stored promotion
+    let applied = null;
+    if (promoCode) {
+      if (await limitPromoAttempts(req, res)) {
+        return;
+      }
+      applied = await applyPromotionCode(promoCode, lines);
+      if (applied.error) {
+        return res.status(400).json({ error: applied.error, promoCode: normalizePromotionCode(promoCode) });
+      }
+    }
+
+    // Hold the stock until the session is paid or expires
+    if (await releaseExpiredReservations() > 0) {
+      await deleteReleasedCoupons();
+    }
+    const expiresAt = Date.now() + CHECKOUT_SESSION_MINUTES * 60 * 1000;
+    const reservation = await reserveStock(lines, expiresAt);
+    if (reservation.failed) {
+      const { productId, variantId, available } = reservation.failed;
+      const line = lines.find(l => l.productId === productId && (l.variantId || null) === variantId);
+      const name = line ? line.name : `Product ${productId}`;
+      return res.status(409).json({
+        error: available > 0 ? `Only ${available} of ${name} left in stock` : `${name} is out of stock`,
+        productId,
+        variantId,
+        available
+      });
+    }
+
+    // Take a use of the code with the reservation; it's given back if the checkout fails or expires
+    if (applied) {
+      let redemption;
+      try {
+        redemption = await claimPromotion(applied.promotion.id, {
+          code: applied.promotion.code,
+          reservationId: reservation.reservationId,
+          discount: applied.discount,
+          freeShipping: applied.freeShipping
+        });
+      } catch (claimErr) {
+        await releaseReservation(reservation.reservationId);
+        throw claimErr;
+      }
+      if (!redemption) {
+        await releaseReservation(reservation.reservationId);
+        return res.status(409).json({ error: INVALID_PROMOTION_CODE, promoCode: applied.promotion.code });
+      }
+    }
+    const shippingAmount = shippingRate && !(applied && applied.freeShipping) ? shippingRate.amount : 0;
+    const discount = applied ? applied.discount : 0;
+
+    const line_items = lines.map(line => ({
+      price_data: {
+        currency: CHECKOUT_CURRENCY,
+        product_data: {
+          name: line.name,
+          ...(line.options && Object.keys(line.options).length > 0 && {
+            description: Object.entries(line.options).map(([option, value]) => `${option}: ${value}`).join(", ")
+          }),
+          metadata: {
+            productId: line.productId,
+            ...(line.variantId && { variantId: line.variantId }),
+            ...(line.sku && { sku: line.sku })
+          }
+        },
+        unit_amount: line.unitAmount
+      },
+      quantity: line.quantity
+    }));
 
-const app = express();
-app.use(cors());
-app.use(express.json());
+    let session;
+    let coupon = null;
+    try {
+      // A single-use coupon carries the discount onto the Stripe session
+      if (discount > 0) {
+        coupon = await stripe.coupons.create({
+          amount_off: discount,
+          currency: CHECKOUT_CURRENCY,
+          duration: "once",
+          max_redemptions: 1,
+          name: applied.promotion.code,
+          metadata: { promotionId: applied.promotion.id, reservationId: reservation.reservationId }
+        });
+        await attachPromotionRedemption(reservation.reservationId, { stripeCouponId: coupon.id });
+      }
+
+      session = await stripe.checkout.sessions.create({
+        mode: "payment",
+        line_items,
+        ...(coupon && { discounts: [{ coupon: coupon.id }] }),
+        expires_at: Math.floor(expiresAt / 1000),
+        metadata: {
+          reservationId: reservation.reservationId,
+          ...(applied && { promotionId: applied.promotion.id, promotionCode: applied.promotion.code })
+        },
+        locale: SUPPORTED_LANGUAGES.includes(lang) && lang !== "sr" ? lang : "auto",
+        shipping_address_collection: {
+          // A quoted rate only covers the country it was quoted for
+          allowed_countries: shippingQuote ? [shippingQuote.destination.country] : SHIPPING_COUNTRIES
+        },
+        ...(shippingRate && {
+          shipping_options: [{
+            shipping_rate_data: {
+              type: "fixed_amount",
+              display_name: `${shippingRate.provider} ${shippingRate.service}`.trim(),
+              fixed_amount: { amount: shippingAmount, currency: CHECKOUT_CURRENCY }
+            }
+          }]
+        }),
+        success_url: process.env.SUCCESS_URL,
+        cancel_url: process.env.CANCEL_URL
+      });
+    } catch (stripeErr) {
+      // Delete the coupon directly: it may not have been linked to the redemption yet
+      if (coupon) {
+        await deleteStripeCoupon(coupon.id);
+      }
+      await releaseReservation(reservation.reservationId);
+      await deleteReleasedCoupons();
+      throw stripeErr;
+    }
+
+    // The webhook rebuilds the order from Stripe if this insert fails, so don't block checkout on it
+    const subtotal = lines.reduce((sum, line) => sum + line.unitAmount * line.quantity, 0);
+    let order = null;
+    try {
+      order = await createOrder({
+        stripeSessionId: session.id,
+        status: "pending",
+        lineItems: lines.map(line => ({ ...line, amountTotal: line.unitAmount * line.quantity })),
+        totals: {
+          subtotal,
+          shipping: shippingAmount,
+          discount,
+          tax: 0,
+          total: subtotal - discount + shippingAmount,
+          currency: CHECKOUT_CURRENCY
+        },
+        shipment: shippingRate ? { selectedRate: shippingRate } : null,
+        promotion: applied ? {
+          promotionId: applied.promotion.id,
+          code: applied.promotion.code,
+          type: applied.promotion.type,
+          discount,
+          freeShipping: applied.freeShipping
+        } : null,
+        reservationId: reservation.reservationId,
+        customerEmail: null,
+        shippingAddress: null,
+        lang: lang || null,
+        note: "Checkout session created"
+      });
+    } catch (orderErr) {
+      console.error("⚠️ Failed to store pending order:", orderErr.message);
+    }
+
+    if (applied) {
+      try {
+        await attachPromotionRedemption(reservation.reservationId, { stripeSessionId: session.id, orderId: order && order.id });
+      } catch (err) {
+        console.error("⚠️ Failed to link promotion redemption:", err.message);
+      }
+    }
+
+    res.json({ url: session.url });
 
-// Cloudinary configuration
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to create session" });
+  }
 });
 
-// Initialize MongoDB connection on startup (only if MONGODB_URI is set)
-if (process.env.MONGODB_URI) {
-  connectDB().catch(err => {
-    console.error("⚠️ Failed to connect to MongoDB on startup:", err.message);
-    console.error("⚠️ Server will continue, but MongoDB operations will fail until connection is established");
-    // Don't exit - allow server to start even if MongoDB fails (connection will be retried on first use)
+// Build order line items from Stripe when no pending order was stored at checkout
+async function fetchSessionLineItems(sessionId) {
+  const result = await stripe.checkout.sessions.listLineItems(sessionId, {
+    limit: 100,
+    expand: ["data.price.product"]
+  });
+  return result.data.map(item => {
+    const product = item.price && typeof item.price.product === "object" ? item.price.product : null;
+    return {
+      productId: product && product.metadata ? product.metadata.productId || null : null,
+      variantId: product && product.metadata ? product.metadata.variantId || null : null,
+      ...(product && product.metadata && product.metadata.sku && { sku: product.metadata.sku }),
+      name: item.description,
+      unitAmount: item.price ? item.price.unit_amount : null,
+      quantity: item.quantity,
+      amountTotal: item.amount_total
+    };
   });
-} else {
-  console.warn("⚠️ MONGODB_URI not set - MongoDB features will not work");
-  console.warn("⚠️ Please set MONGODB_URI in Vercel Settings → Environment Variables");
 }
 
-// Multer in-memory storage (for Cloudinary)
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 10 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|webp/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error("Only image files are allowed (jpeg, jpg, png, webp)"));
+// Stripe has moved shipping details between API versions, so check both places
+function getSessionShipping(session) {
+  const shipping = (session.collected_information && session.collected_information.shipping_details) ||
+    session.shipping_details ||
+    null;
+  if (!shipping) {
+    return null;
+  }
+  return { name: shipping.name || null, ...(shipping.address || {}) };
+}
+
+async function handleCheckoutCompleted(session) {
+  const paid = session.payment_status === "paid" || session.payment_status === "no_payment_required";
+  const totalDetails = session.total_details || {};
+  const updates = {
+    paymentIntentId: session.payment_intent || null,
+    customerEmail: (session.customer_details && session.customer_details.email) || session.customer_email || null,
+    shippingAddress: getSessionShipping(session),
+    totals: {
+      subtotal: session.amount_subtotal,
+      shipping: totalDetails.amount_shipping || 0,
+      discount: totalDetails.amount_discount || 0,
+      tax: totalDetails.amount_tax || 0,
+      total: session.amount_total,
+      currency: session.currency
+    }
+  };
+
+  const metadata = session.metadata || {};
+  let order = await getOrderByStripeSessionId(session.id);
+  if (!order) {
+    console.warn(`⚠️ No pending order for session ${session.id}, creating it from Stripe`);
+    try {
+      order = await createOrder({
+        stripeSessionId: session.id,
+        status: "pending",
+        lineItems: await fetchSessionLineItems(session.id),
+        ...updates,
+        promotion: metadata.promotionId
+          ? { promotionId: metadata.promotionId, code: metadata.promotionCode || null, discount: updates.totals.discount }
+          : null,
+        reservationId: metadata.reservationId || null,
+        note: "Order created from Stripe webhook"
+      });
+      if (metadata.promotionId && metadata.reservationId) {
+        await attachPromotionRedemption(metadata.reservationId, { stripeSessionId: session.id, orderId: order.id });
+      }
+    } catch (err) {
+      // A concurrent delivery created it first
+      if (err.code !== 11000) {
+        throw err;
+      }
     }
   }
-});
 
-// Simple authentication middleware
-const authenticate = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  const token = authHeader && authHeader.split(" ")[1];
+  if (!paid) {
+    await appendOrderHistory({ stripeSessionId: session.id }, `Checkout completed, payment ${session.payment_status}`, updates);
+    return;
+  }
 
-  if (!token) {
-    return res.status(401).json({ error: "Authentication required" });
+  const updated = await transitionOrder(
+    { stripeSessionId: session.id },
+    ["pending", "expired"],
+    "paid",
+    "Payment received",
+    updates
+  );
+  if (updated) {
+    console.log(`✅ Order ${updated.id} paid`);
   }
 
-  const adminToken = process.env.ADMIN_TOKEN || "epolux-admin-2024";
-  if (token !== adminToken) {
-    return res.status(403).json({ error: "Invalid token" });
+  const reservationId = metadata.reservationId || (order && order.reservationId);
+  if (reservationId && !(await commitReservation(reservationId))) {
+    // Paid after the hold was released: take the stock again, and flag what sold out meanwhile
+    const recommitted = await recommitReservation(reservationId);
+    if (recommitted) {
+      console.warn(`⚠️ Session ${session.id} was paid after its stock hold was released`);
+      const { shortages } = recommitted;
+      await appendOrderHistory(
+        { stripeSessionId: session.id },
+        shortages.length > 0
+          ? `Paid after the stock hold expired; ${shortages.length} item(s) are no longer in stock`
+          : "Paid after the stock hold expired; stock taken again",
+        shortages.length > 0 ? { stockShortages: shortages } : {}
+      );
+    }
   }
+}
 
-  next();
-};
+async function handleCheckoutExpired(session) {
+  const updated = await transitionOrder(
+    { stripeSessionId: session.id },
+    ["pending"],
+    "expired",
+    "Checkout session expired"
+  );
+  if (updated) {
+    console.log(`⌛ Order ${updated.id} expired`);
+  }
 
-// Upload to Cloudinary
-function uploadToCloudinary(fileBuffer) {
-  return new Promise((resolve, reject) => {
-    const stream = cloudinary.uploader.upload_stream(
-      { folder: "epolux/products" },
-      (error, result) => {
-        if (error) return reject(error);
-        resolve(result.secure_url);
-      }
-    );
-    stream.end(fileBuffer);
-  });
+  const reservationId = session.metadata && session.metadata.reservationId;
+  if (reservationId && await releaseReservation(reservationId)) {
+    console.log(`📦 Released stock reserved for session ${session.id}`);
+    await deleteReleasedCoupons();
+  }
 }
 
-// Extract Cloudinary public_id
-function getCloudinaryPublicId(url) {
-  try {
-    const parts = url.split("/");
-    const fileWithExt = parts.pop();
-    const fileName = fileWithExt.split(".")[0];
+async function handleChargeRefunded(charge) {
+  if (!charge.payment_intent) {
+    return;
+  }
+  const query = { paymentIntentId: charge.payment_intent };
+  const refundedAmount = charge.amount_refunded;
+  const updates = { refundedAmount };
 
-    const uploadIndex = parts.indexOf("upload");
-    let folderPath = "";
-    if (uploadIndex !== -1 && uploadIndex < parts.length - 1) {
-      folderPath = parts.slice(uploadIndex + 1).join("/");
+  if (charge.refunded) {
+    const updated = await transitionOrder(query, getOrderSourceStatuses("refunded"), "refunded", `Refunded ${refundedAmount / 100} ${charge.currency.toUpperCase()}`, updates);
+    if (updated) {
+      console.log(`↩️ Order ${updated.id} refunded`);
+      const history = updated.statusHistory || [];
+      await releaseOrderReservation(updated, history.length > 1 ? history[history.length - 2].status : null);
     }
-
-    return folderPath ? `${folderPath}/${fileName}` : fileName;
-  } catch (err) {
-    console.error("Error parsing Cloudinary public_id:", url, err);
-    return null;
+  } else {
+    await appendOrderHistory(query, `Partially refunded ${refundedAmount / 100} ${charge.currency.toUpperCase()}`, updates);
   }
 }
 
-// Test route
-app.get("/", (req, res) => {
-  res.send("Backend is running");
-});
-
-// Admin authentication
-app.post("/api/admin/login", (req, res) => {
-  const { password } = req.body;
-  const adminPassword = process.env.ADMIN_PASSWORD || "epolux2024";
+// Stripe webhook (signature verified against the raw request body)
+app.post("/api/stripe/webhook", async (req, res) => {
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!webhookSecret) {
+    console.error("❌ STRIPE_WEBHOOK_SECRET not set");
+    return res.status(500).json({ error: "Webhook not configured" });
+  }
 
-  if (password === adminPassword) {
-    const token = process.env.ADMIN_TOKEN || "epolux-admin-2024";
-    res.json({ token, message: "Login successful" });
-  } else {
-    res.status(401).json({ error: "Invalid password" });
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.rawBody, req.headers["stripe-signature"], webhookSecret);
+  } catch (err) {
+    console.error("❌ Stripe webhook signature verification failed:", err.message);
+    return res.status(400).json({ error: "Invalid signature" });
   }
-});
 
-// Translation endpoint (using free MyMemory API)
-app.post("/api/translate", (req, res) => {
   try {
-    const { text, targetLang } = req.body;
-    
-    if (!text || !targetLang) {
-      return res.status(400).json({ error: "Text and target language required" });
+    const isNew = await recordStripeEvent(event.id, event.type);
+    if (!isNew) {
+      console.log(`🔁 Ignoring duplicate Stripe event ${event.id}`);
+      return res.json({ received: true, duplicate: true });
     }
 
-    // Language codes mapping
-    const langCodes = {
-      "sl": "sl",  // Slovenian
-      "de": "de",  // German
-      "it": "it",  // Italian
-      "sr": "sr"   // Serbian
-    };
+    switch (event.type) {
+      case "checkout.session.completed":
+        await handleCheckoutCompleted(event.data.object);
+        break;
+      case "checkout.session.expired":
+        await handleCheckoutExpired(event.data.object);
+        break;
+      case "charge.refunded":
+        await handleChargeRefunded(event.data.object);
+        break;
+      default:
+        console.log(`Unhandled Stripe event type: ${event.type}`);
+    }
 
-    const targetCode = langCodes[targetLang] || targetLang;
-    
-    // Use MyMemory Translation API (free, no API key needed)
-    const url = `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=en|${targetCode}`;
-    
-    https.get(url, (apiRes) => {
-      let data = "";
-      
-      apiRes.on("data", (chunk) => {
-        data += chunk;
-      });
-      
-      apiRes.on("end", () => {
-        try {
-          const parsedData = JSON.parse(data);
-          
-          if (parsedData.responseStatus === 200 && parsedData.responseData && parsedData.responseData.translatedText) {
-            res.json({ translatedText: parsedData.responseData.translatedText });
-          } else {
-            res.status(500).json({ error: "Translation failed" });
-          }
-        } catch (parseErr) {
-          console.error("Error parsing translation response:", parseErr);
-          res.status(500).json({ error: "Translation service error" });
-        }
-      });
-    }).on("error", (err) => {
-      console.error("Translation API error:", err);
-      res.status(500).json({ error: "Translation service error" });
-    });
+    res.json({ received: true });
   } catch (err) {
-    console.error("Translation error:", err);
-    res.status(500).json({ error: "Translation service error" });
+    console.error(`❌ Error handling Stripe event ${event.id}:`, err);
+    await forgetStripeEvent(event.id);
+    res.status(500).json({ error: "Failed to process webhook" });
   }
 });
 
-// Get all products
-app.get("/api/products", async (req, res) => {
+// List orders (admin only)
+app.get("/api/admin/orders", authenticate, requirePermission("orders:read"), async (req, res) => {
   try {
-    const products = await getProducts();
-    res.json(products);
+    const { status, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: "from and to must be valid dates" });
+    }
+
+    const { orders, total } = await getOrders({ status, from, to, page, limit });
+    res.json({ orders, total, page, limit });
   } catch (err) {
-    console.error("Error fetching products:", err);
-    res.status(500).json({ error: "Failed to fetch products" });
+    console.error("Error fetching orders:", err);
+    res.status(500).json({ error: "Failed to fetch orders" });
   }
 });
 
-// Get single product
-app.get("/api/products/:id", async (req, res) => {
+// Get single order (admin only)
+app.get("/api/admin/orders/:id", authenticate, requirePermission("orders:read"), async (req, res) => {
   try {
-    const product = await getProductById(req.params.id);
-    if (!product) {
-      return res.status(404).json({ error: "Product not found" });
+    const order = await getOrderById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" });
     }
-    res.json(product);
+    res.json(order);
   } catch (err) {
-    console.error("Error fetching product:", err);
-    res.status(500).json({ error: "Failed to fetch product" });
+    console.error("Error fetching order:", err);
+    res.status(500).json({ error: "Failed to fetch order" });
   }
 });
 
-// Create product
-app.post("/api/products", authenticate, upload.array("images", 20), async (req, res) => {
+// Change order status (admin only)
+app.patch("/api/admin/orders/:id/status", authenticate, requirePermission("orders:update"), async (req, res) => {
   try {
-    console.log("📦 Creating product...");
-    const { specs, translations } = req.body;
-
-    if (!req.files || req.files.length === 0) {
-      console.error("❌ No images provided");
-      return res.status(400).json({ error: "At least one image is required" });
+    const { status, note } = req.body || {};
+    if (!status || !ADMIN_ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: "Invalid status",
+        details: `Status must be one of: ${ADMIN_ORDER_STATUSES.join(", ")}`
+      });
     }
 
-    console.log(`📸 Uploading ${req.files.length} image(s) to Cloudinary...`);
-    const imageUrls = [];
-    for (const file of req.files) {
-      try {
-        const url = await uploadToCloudinary(file.buffer);
-        imageUrls.push(url);
-        console.log("✅ Image uploaded:", url);
-      } catch (cloudErr) {
-        console.error("❌ Cloudinary upload error:", cloudErr);
-        return res.status(500).json({ error: `Failed to upload image: ${cloudErr.message}` });
-      }
+    if (status === "refunded" && !hasPermission(req.admin, "orders:refund")) {
+      return sendForbidden(res, "orders:refund");
     }
 
-    let parsedSpecs, parsedTranslations;
-    try {
-      parsedSpecs = JSON.parse(specs || "[]");
-      parsedTranslations = JSON.parse(translations || "{}");
-    } catch (parseErr) {
-      console.error("❌ JSON parse error:", parseErr);
-      return res.status(400).json({ error: `Invalid JSON data: ${parseErr.message}` });
-    }
-
-    // Extract publish flags from request body
-    const publishFlags = {
-      published: req.body.published === "true" || req.body.published === true,
-      isPublished: req.body.isPublished === "true" || req.body.isPublished === true,
-      active: req.body.active === "true" || req.body.active === true,
-      isActive: req.body.isActive === "true" || req.body.isActive === true,
-      visible: req.body.visible === "true" || req.body.visible === true,
-      isVisible: req.body.isVisible === "true" || req.body.isVisible === true,
-      status: req.body.status || "published"
-    };
-
-    const productData = {
-      images: imageUrls,
-      specs: parsedSpecs,
-      translations: parsedTranslations,
-      ...publishFlags
-    };
+    const order = await getOrderById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" });
+    }
 
-    // Check MongoDB connection before creating product
-    if (!process.env.MONGODB_URI) {
-      console.error("❌ MONGODB_URI not set");
-      return res.status(500).json({ 
-        error: "Database not configured", 
-        details: "MONGODB_URI environment variable is not set. Please configure it in Vercel Settings → Environment Variables." 
+    if (!canTransitionOrder(order.status, status, ADMIN_ORDER_STATUS_TRANSITIONS)) {
+      return res.status(409).json({
+        error: `Cannot change order status from ${order.status} to ${status}`,
+        allowed: ADMIN_ORDER_STATUS_TRANSITIONS[order.status] || []
       });
     }
 
-    console.log("💾 Saving product to MongoDB...");
-    let product;
-    try {
-      product = await createProduct(productData);
-    } catch (dbErr) {
-      console.error("❌ Database error:", dbErr.message);
-      if (dbErr.message.includes("MONGODB_URI")) {
-        return res.status(500).json({ 
-          error: "Database configuration error", 
-          details: dbErr.message 
-        });
-      } else if (dbErr.message.includes("authentication")) {
-        return res.status(500).json({ 
-          error: "Database authentication failed", 
-          details: "Check your MongoDB username and password in the connection string." 
-        });
-      } else if (dbErr.message.includes("IP") || dbErr.message.includes("whitelist")) {
-        return res.status(500).json({ 
-          error: "Database network error", 
-          details: "Your IP is not whitelisted. Add 0.0.0.0/0 in MongoDB Atlas → Network Access." 
-        });
-      } else {
-        return res.status(500).json({ 
-          error: "Database connection failed", 
-          details: dbErr.message 
+    // Close an open checkout first, so the customer can't pay for a cancelled order
+    if (order.status === "pending" && order.stripeSessionId) {
+      try {
+        await stripe.checkout.sessions.expire(order.stripeSessionId);
+      } catch (err) {
+        return res.status(409).json({
+          error: "The checkout can no longer be cancelled, it may have just been paid",
+          details: err.message
         });
       }
     }
-    
-    if (!product) {
-      console.error("❌ createProduct returned null");
-      return res.status(500).json({ 
-        error: "Failed to save product", 
-        details: "Product creation returned null. Check MongoDB connection and logs." 
-      });
+
+    const updated = await transitionOrder(
+      { _id: new ObjectId(order.id) },
+      [order.status],
+      status,
+      note ? String(note) : ""
+    );
+
+    if (!updated) {
+      return res.status(409).json({ error: "Order was changed by someone else, please reload and try again" });
     }
-    
-    console.log("✅ Product created successfully:", product.id);
 
-    res.json({ product, message: "Product created successfully" });
+    console.log(`📦 Order ${updated.id}: ${order.status} → ${status}`);
+    if (status === "cancelled" || status === "refunded") {
+      await releaseOrderReservation(updated, order.status);
+    }
+    await audit(req, "order.status", "order", updated.id, { status: order.status }, { status: updated.status, note: note ? String(note) : "" });
+    res.json({ order: updated, message: "Order status updated" });
   } catch (err) {
-    console.error("❌ Error creating product:", err);
-    console.error("❌ Error stack:", err.stack);
-    res.status(500).json({ 
-      error: "Failed to create product",
-      details: err.message || String(err)
-    });
+    console.error("Error updating order status:", err);
+    res.status(500).json({ error: "Failed to update order status" });
   }
 });
 
-// Update product
-app.put("/api/products/:id", authenticate, upload.array("images", 20), async (req, res) => {
+// Quote shipping rates for a cart and destination address
+app.post("/api/shipping/rates", async (req, res) => {
   try {
-    console.log(`🔄 Updating product: ${req.params.id}`);
-    
-    // Try to get existing product for image cleanup, but don't fail if not found yet
-    // (updateProduct has better lookup logic)
-    const existingProduct = await getProductById(req.params.id);
-    const oldImages = existingProduct ? (existingProduct.images || []) : [];
-
-    const { specs, translations, existingImages } = req.body;
-    let imageUrls = existingImages ? JSON.parse(existingImages) : [];
-
-    if (req.files && req.files.length > 0) {
-      for (const file of req.files) {
-        const url = await uploadToCloudinary(file.buffer);
-        imageUrls.push(url);
-      }
+    const body = req.body || {};
+    if (!Array.isArray(body.cart) || body.cart.length === 0) {
+      return res.status(400).json({ error: "Cart must be a non-empty array of { id, quantity }" });
     }
 
-    if (imageUrls.length === 0) {
-      return res.status(400).json({ error: "At least one image is required" });
+    const addressTo = toShippingAddress(body.address);
+    const addressErrors = validateShippingAddress(addressTo);
+    if (addressErrors.length > 0) {
+      return res.status(400).json({ error: "Invalid address", details: addressErrors });
     }
 
-    const imagesToDelete = oldImages.filter(img => !imageUrls.includes(img));
-    for (const url of imagesToDelete) {
-      const publicId = getCloudinaryPublicId(url);
-      if (publicId) {
-        try {
-          await cloudinary.uploader.destroy(publicId);
-        } catch (err) {
-          console.error("Error deleting Cloudinary image:", publicId, err);
-        }
-      }
+    const { lines, errors } = await priceCart(body.cart);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid cart", details: errors });
     }
 
-    const updates = {
-      images: imageUrls,
-      specs: JSON.parse(specs || "[]"),
-      translations: JSON.parse(translations || "{}")
-    };
-
-    const updatedProduct = await updateProduct(req.params.id, updates);
-
-    if (!updatedProduct) {
-      return res.status(404).json({ error: "Product not found" });
+    const parcel = buildParcel(lines);
+    const rates = await getShippingClient().getRates({
+      addressFrom: getShipFromAddress(),
+      addressTo,
+      parcel
+    });
+    if (rates.length > 0) {
+      await saveShippingQuote({ shipmentId: rates[0].shipmentId, parcel, addressTo, rates });
     }
 
-    res.json({ product: updatedProduct, message: "Product updated successfully" });
+    res.json({ rates: rates.sort((a, b) => a.amount - b.amount) });
   } catch (err) {
-    console.error("Error updating product:", err);
-    res.status(500).json({ error: "Failed to update product" });
+    console.error("Error fetching shipping rates:", err);
+    res.status(err.status || 502).json({ error: "Failed to fetch shipping rates", details: err.message });
   }
 });
 
-// Get static products visibility status (public)
-app.get("/api/static-products", async (req, res) => {
+// Quote rates for an order's shipping address
+async function getOrderShippingRates(order) {
+  const addressTo = toShippingAddress(order.shippingAddress);
+  const addressErrors = validateShippingAddress(addressTo);
+  if (addressErrors.length > 0) {
+    const err = new Error(`Order has no usable shipping address: ${addressErrors.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+  addressTo.email = addressTo.email || order.customerEmail || undefined;
+
+  const parcel = buildParcel(order.lineItems || []);
+  const rates = await getShippingClient().getRates({
+    addressFrom: getShipFromAddress(),
+    addressTo,
+    parcel
+  });
+  if (rates.length > 0) {
+    await saveShippingQuote({ shipmentId: rates[0].shipmentId, parcel, addressTo, rates, orderId: order.id });
+  }
+  return rates.sort((a, b) => a.amount - b.amount);
+}
+
+// Shipping rates for an order (admin only)
+app.get("/api/admin/orders/:id/shipping-rates", authenticate, requirePermission("orders:ship"), async (req, res) => {
   try {
-    const data = await getStaticProducts();
-    res.json(data);
+    const order = await getOrderById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+    const rates = await getOrderShippingRates(order);
+    res.json({ rates });
   } catch (err) {
-    console.error("Error fetching static products:", err);
-    res.status(500).json({ error: "Failed to fetch static products status" });
+    console.error("Error fetching order shipping rates:", err);
+    res.status(err.status || 502).json({ error: "Failed to fetch shipping rates", details: err.message });
   }
 });
 
-// Update static product visibility (admin only)
-app.post("/api/static-products/toggle", authenticate, async (req, res) => {
+// Buy a shipping label for an order (admin only). Uses the given rate, which must come from
+// the order's shipping rates, or the cheapest one.
+app.post("/api/admin/orders/:id/label", authenticate, requirePermission("orders:ship"), async (req, res) => {
   try {
-    const { productId } = req.body;
-    if (!productId) {
-      return res.status(400).json({ error: "Product ID is required" });
+    const body = req.body || {};
+    const order = await getOrderById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" });
     }
-    
-    const data = await getStaticProducts();
-    const hidden = data.hidden || [];
-    const index = hidden.indexOf(String(productId));
-    
-    if (index === -1) {
-      // Hide the product
-      hidden.push(String(productId));
+    if (!["paid", "packed"].includes(order.status)) {
+      return res.status(409).json({ error: `Cannot buy a label for an order that is ${order.status}` });
+    }
+    if (order.shipment && order.shipment.trackingNumber) {
+      return res.status(409).json({ error: "A label was already purchased for this order", shipment: order.shipment });
+    }
+
+    const client = getShippingClient();
+    let rate;
+    if (body.rateId) {
+      // The rate has to be from a shipment quoted to this order's address
+      const quote = await getShippingQuote(String(body.rateId));
+      if (quote && quote.orderId === order.id) {
+        rate = await client.getRate(String(body.rateId));
+      }
+      if (!rate || rate.shipmentId !== quote.shipmentId) {
+        return res.status(400).json({ error: "Invalid shipping rate" });
+      }
     } else {
-      // Show the product
-      hidden.splice(index, 1);
+      const rates = await getOrderShippingRates(order);
+      if (rates.length === 0) {
+        return res.status(502).json({ error: "No shipping rates available for this order" });
+      }
+      rate = rates[0];
     }
-    
-    await saveStaticProducts({ hidden });
-    res.json({ hidden, message: "Product visibility updated" });
+
+    console.log(`🏷️ Buying ${rate.provider} ${rate.service} label for order ${order.id}...`);
+    const label = await client.purchaseLabel(rate.id);
+
+    const shipment = {
+      ...(order.shipment || {}),
+      rateId: rate.id,
+      provider: rate.provider,
+      carrier: rate.carrier,
+      service: rate.service,
+      amount: rate.amount,
+      currency: rate.currency,
+      transactionId: label.transactionId,
+      trackingNumber: label.trackingNumber,
+      trackingUrl: label.trackingUrl,
+      labelUrl: label.labelUrl,
+      purchasedAt: new Date().toISOString(),
+      tracking: null
+    };
+
+    const updated = await appendOrderHistory(
+      { _id: new ObjectId(order.id) },
+      `Label purchased (${rate.provider}, tracking ${label.trackingNumber})`,
+      { shipment }
+    );
+
+    await audit(req, "order.label", "order", order.id, { shipment: order.shipment || null }, { shipment });
+    res.json({ order: updated, message: "Label purchased" });
   } catch (err) {
-    console.error("Error updating static product:", err);
-    res.status(500).json({ error: "Failed to update static product" });
+    console.error("Error purchasing label:", err);
+    res.status(err.status || 502).json({ error: "Failed to purchase label", details: err.message });
   }
 });
 
-// Delete product
-app.delete("/api/products/:id", authenticate, async (req, res) => {
+// Refresh tracking status for an order (admin only)
+app.get("/api/admin/orders/:id/tracking", authenticate, requirePermission("orders:read"), async (req, res) => {
   try {
-    console.log(`🗑️ Deleting product: ${req.params.id}`);
-    
-    // Try to get product for image cleanup, but don't fail if not found
-    // (deleteProduct has better lookup logic)
-    const product = await getProductById(req.params.id);
-    
-    // Delete images from Cloudinary if product was found
-    if (product && product.images && product.images.length > 0) {
-      for (const url of product.images) {
-        const publicId = getCloudinaryPublicId(url);
-        if (publicId) {
-          try {
-            await cloudinary.uploader.destroy(publicId);
-          } catch (err) {
-            console.error("Error deleting Cloudinary image:", publicId, err);
-          }
-        }
-      }
+    const order = await getOrderById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+    if (!order.shipment || !order.shipment.trackingNumber) {
+      return res.status(409).json({ error: "Order has no shipping label yet" });
     }
 
-    // Try to delete - this has better lookup logic
-    const deleted = await deleteProduct(req.params.id);
+    const tracking = await getShippingClient().getTrackingStatus(order.shipment.carrier, order.shipment.trackingNumber);
+    const previous = order.shipment.tracking;
 
-    if (!deleted) {
-      return res.status(404).json({ error: "Product not found" });
+    let updated = order;
+    if (!previous || previous.status !== tracking.status) {
+      updated = await appendOrderHistory(
+        { _id: new ObjectId(order.id) },
+        `Tracking status: ${tracking.status}`,
+        { "shipment.tracking": tracking }
+      );
     }
 
-    res.json({ message: "Product deleted successfully" });
+    res.json({ tracking, order: updated });
   } catch (err) {
-    console.error("Error deleting product:", err);
-    res.status(500).json({ error: "Failed to delete product", details: err.message });
+    console.error("Error fetching tracking status:", err);
+    res.status(502).json({ error: "Failed to fetch tracking status", details: err.message });
   }
 });
 
-// Stripe checkout
-app.post("/create-checkout-session", async (req, res) => {
-  const cart = req.body.cart;
-
+// Audit log (owner only). Filter by actor (id or email), targetType, targetId, action and date range.
+app.get("/api/admin/audit", authenticate, requirePermission("audit:read"), async (req, res) => {
   try {
-    const line_items = cart.map(item => ({
-      price_data: {
-        currency: "eur",
-        product_data: { name: item.name },
-        unit_amount: Math.round(item.price * 100)
-      },
-      quantity: 1
-    }));
-
-    const session = await stripe.checkout.sessions.create({
-      mode: "payment",
-      line_items,
-      shipping_address_collection: {
-        allowed_countries: ["SI", "HR", "AT", "DE", "IT"]
-      },
-      success_url: process.env.SUCCESS_URL,
-      cancel_url: process.env.CANCEL_URL
-    });
+    const { actor, targetType, action, from, to } = req.query;
+    const targetId = req.query.targetId || req.query.target;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
 
-    res.json({ url: session.url });
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: "from and to must be valid dates" });
+    }
 
+    const { entries, total } = await getAuditEntries({ actor, targetType, targetId, action, from, to, page, limit });
+    res.json({ entries, total, page, limit });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Failed to create session" });
+    console.error("Error fetching audit log:", err);
+    res.status(500).json({ error: "Failed to fetch audit log" });
   }
 });
 
@@ -0,0 +1,266 @@
+// Shipping Provider Clients (Shippo, or a local fake for offline development)
+require("dotenv").config();
+const crypto = require("crypto");
+
+// Countries checkout ships to (kept in sync with Stripe shipping_address_collection)
+const SHIPPING_COUNTRIES = ["SI", "HR", "AT", "DE", "IT"];
+
+// Used for products that don't have weight / dimensions set (kg and cm)
+const DEFAULT_ITEM_WEIGHT = 0.5;
+const DEFAULT_ITEM_DIMENSIONS = { length: 20, width: 15, height: 10 };
+
+let shippingClient = null;
+
+// Warehouse address labels are shipped from
+function getShipFromAddress() {
+  return {
+    name: process.env.SHIP_FROM_NAME || "Epolux",
+    company: process.env.SHIP_FROM_COMPANY || "Epolux",
+    street1: process.env.SHIP_FROM_STREET || "",
+    city: process.env.SHIP_FROM_CITY || "",
+    zip: process.env.SHIP_FROM_ZIP || "",
+    country: process.env.SHIP_FROM_COUNTRY || "SI",
+    email: process.env.SHIP_FROM_EMAIL || undefined,
+    phone: process.env.SHIP_FROM_PHONE || undefined
+  };
+}
+
+// Normalize an address from the storefront or from a Stripe order into Shippo's shape
+function toShippingAddress(address) {
+  if (!address) {
+    return null;
+  }
+  return {
+    name: address.name || "",
+    street1: address.street1 || address.line1 || "",
+    street2: address.street2 || address.line2 || undefined,
+    city: address.city || "",
+    zip: address.zip || address.postal_code || "",
+    state: address.state || undefined,
+    country: String(address.country || "").toUpperCase(),
+    email: address.email || undefined,
+    phone: address.phone || undefined
+  };
+}
+
+// Returns a list of problems with a destination address (empty when it's usable)
+function validateShippingAddress(address) {
+  const errors = [];
+  if (!address) {
+    return ["Address is required"];
+  }
+  for (const field of ["street1", "city", "zip", "country"]) {
+    if (!address[field]) {
+      errors.push(`${field} is required`);
+    }
+  }
+  if (address.country && !SHIPPING_COUNTRIES.includes(address.country)) {
+    errors.push(`We only ship to ${SHIPPING_COUNTRIES.join(", ")}`);
+  }
+  return errors;
+}
+
+// Pack cart lines ({ quantity, weight, dimensions }) into one parcel: items are
+// stacked, so the parcel takes the largest footprint and the summed height.
+function buildParcel(items) {
+  let weight = 0;
+  let length = 0;
+  let width = 0;
+  let height = 0;
+
+  for (const item of items) {
+    const quantity = item.quantity || 1;
+    const dimensions = item.dimensions || DEFAULT_ITEM_DIMENSIONS;
+    weight += (item.weight || DEFAULT_ITEM_WEIGHT) * quantity;
+    length = Math.max(length, dimensions.length || DEFAULT_ITEM_DIMENSIONS.length);
+    width = Math.max(width, dimensions.width || DEFAULT_ITEM_DIMENSIONS.width);
+    height += (dimensions.height || DEFAULT_ITEM_DIMENSIONS.height) * quantity;
+  }
+
+  return {
+    length: String(length),
+    width: String(width),
+    height: String(height),
+    distanceUnit: "cm",
+    weight: String(Math.round(weight * 1000) / 1000),
+    massUnit: "kg"
+  };
+}
+
+// Shippo carrier tokens are the lower-cased, underscored provider names ("DHL Express" → "dhl_express")
+function toCarrierToken(provider) {
+  return String(provider || "").trim().toLowerCase().replace(/\s+/g, "_");
+}
+
+function formatShippoRate(rate) {
+  return {
+    id: rate.objectId,
+    shipmentId: rate.shipment || null,
+    provider: rate.provider,
+    carrier: toCarrierToken(rate.provider),
+    service: rate.servicelevel ? rate.servicelevel.name : "",
+    amount: Math.round(Number(rate.amount) * 100),
+    currency: String(rate.currency || "").toLowerCase(),
+    estimatedDays: rate.estimatedDays || null
+  };
+}
+
+function createShippoClient(apiKey) {
+  const { Shippo } = require("shippo");
+  const shippo = new Shippo({ apiKeyHeader: apiKey });
+
+  return {
+    name: "shippo",
+
+    async getRates({ addressFrom, addressTo, parcel }) {
+      const shipment = await shippo.shipments.create({
+        addressFrom,
+        addressTo,
+        parcels: [parcel],
+        async: false
+      });
+      return (shipment.rates || []).map(rate => ({ ...formatShippoRate(rate), shipmentId: shipment.objectId }));
+    },
+
+    async getRate(rateId) {
+      const rate = await shippo.rates.get(rateId);
+      return rate ? formatShippoRate(rate) : null;
+    },
+
+    async purchaseLabel(rateId) {
+      const transaction = await shippo.transactions.create({
+        rate: rateId,
+        labelFileType: "PDF",
+        async: false
+      });
+      if (transaction.status !== "SUCCESS") {
+        const messages = (transaction.messages || []).map(m => m.text).join("; ");
+        throw new Error(`Label purchase failed: ${messages || transaction.status}`);
+      }
+      return {
+        transactionId: transaction.objectId,
+        trackingNumber: transaction.trackingNumber,
+        trackingUrl: transaction.trackingUrlProvider || null,
+        labelUrl: transaction.labelUrl
+      };
+    },
+
+    async getTrackingStatus(carrier, trackingNumber) {
+      const track = await shippo.trackingStatus.get(trackingNumber, carrier);
+      const status = track.trackingStatus || {};
+      return {
+        status: status.status || "UNKNOWN",
+        details: status.statusDetails || "",
+        updatedAt: status.statusDate ? new Date(status.statusDate).toISOString() : null,
+        eta: track.eta ? new Date(track.eta).toISOString() : null
+      };
+    }
+  };
+}
+
+// Offline stand-in with deterministic prices, labels and tracking (no network calls).
+// Like Shippo, rates belong to a quoted shipment; amounts are always worked out
+// from the service and the shipment's parcel, never read from the rate id.
+function createFakeShippingClient() {
+  const services = [
+    { provider: "Posta Slovenije", service: "Paket", base: 450, perKg: 80, days: 3 },
+    { provider: "DPD", service: "Classic", base: 590, perKg: 60, days: 2 },
+    { provider: "DHL Express", service: "Express Worldwide", base: 1490, perKg: 120, days: 1 }
+  ];
+  const shipments = new Map();
+  const labels = new Map();
+
+  function makeRate(shipmentId, index) {
+    const { addressTo, parcel } = shipments.get(shipmentId);
+    const { provider, service, base, perKg, days } = services[index];
+    const domestic = addressTo.country === "SI";
+    return {
+      id: `fake_rate_${shipmentId}_${index}`,
+      shipmentId,
+      provider,
+      carrier: toCarrierToken(provider),
+      service,
+      amount: base + Math.ceil(Number(parcel.weight)) * perKg + (domestic ? 0 : 300),
+      currency: "eur",
+      estimatedDays: days
+    };
+  }
+
+  return {
+    name: "fake",
+
+    async getRates({ addressTo, parcel }) {
+      const shipmentId = crypto.randomUUID().replace(/-/g, "");
+      shipments.set(shipmentId, { addressTo, parcel });
+      return services.map((s, index) => makeRate(shipmentId, index));
+    },
+
+    async getRate(rateId) {
+      const match = /^fake_rate_([a-f0-9]{32})_(\d+)$/.exec(rateId);
+      if (!match || !shipments.has(match[1]) || !services[Number(match[2])]) {
+        return null;
+      }
+      return makeRate(match[1], Number(match[2]));
+    },
+
+    async purchaseLabel(rateId) {
+      const trackingNumber = `FAKE${Date.now()}${labels.size}`;
+      labels.set(trackingNumber, Date.now());
+      return {
+        transactionId: `fake_tx_${trackingNumber}`,
+        trackingNumber,
+        trackingUrl: null,
+        labelUrl: `https://example.com/fake-labels/${trackingNumber}.pdf`
+      };
+    },
+
+    async getTrackingStatus(carrier, trackingNumber) {
+      return {
+        status: labels.has(trackingNumber) ? "PRE_TRANSIT" : "UNKNOWN",
+        details: "Fake shipping provider",
+        updatedAt: new Date().toISOString(),
+        eta: null
+      };
+    }
+  };
+}
+
+// Shippo unless SHIPPING_PROVIDER=fake asks for the offline client, which is never
+// used in production. Throws (status 503) when shipping isn't configured.
+function getShippingClient() {
+  if (!shippingClient) {
+    const provider = process.env.SHIPPING_PROVIDER || "shippo";
+    if (provider === "fake") {
+      if (process.env.NODE_ENV === "production") {
+        throw Object.assign(new Error("The fake shipping provider can't be used in production"), { status: 503 });
+      }
+      console.warn("⚠️ Using fake shipping provider - rates and labels are not real");
+      shippingClient = createFakeShippingClient();
+    } else if (provider === "shippo") {
+      if (!process.env.SHIPPO_API_KEY) {
+        throw Object.assign(new Error("Shipping is not configured (SHIPPO_API_KEY is not set)"), { status: 503 });
+      }
+      shippingClient = createShippoClient(process.env.SHIPPO_API_KEY);
+    } else {
+      throw Object.assign(new Error(`Unknown shipping provider: ${provider}`), { status: 503 });
+    }
+  }
+  return shippingClient;
+}
+
+// Swap the shipping client (e.g. for tests)
+function setShippingClient(client) {
+  shippingClient = client;
+}
+
+module.exports = {
+  SHIPPING_COUNTRIES,
+  getShipFromAddress,
+  toShippingAddress,
+  validateShippingAddress,
+  buildParcel,
+  createShippoClient,
+  createFakeShippingClient,
+  getShippingClient,
+  setShippingClient
+};
@@ -0,0 +1,359 @@
+// Image Storage Drivers (Cloudinary, or the local disk for offline development)
+//
+// Every driver has the same interface:
+//   upload(buffer, { filename }) → { key, url }
+//   delete(url) → true when the file was ours and is gone
+//   getPublicUrl(key) → URL the storefront loads the file from
+//   list() → every stored file as { url, createdAt }
+//   read(url) → Buffer with the file contents
+//   createDirectUpload() → { method, url, fields?, expiresAt } the browser uploads a file with
+//   isDirectUpload(url) → true for files uploaded that way (they still need processing)
+require("dotenv").config();
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const { createWriteStream } = require("fs");
+const path = require("path");
+const { findUnreferencedImages } = require("./db");
+
+// Direct uploads are raw originals that get processed when added to a product
+const MAX_DIRECT_UPLOAD_BYTES = parseInt(process.env.MAX_DIRECT_UPLOAD_MB || "50") * 1024 * 1024;
+const DIRECT_UPLOAD_MINUTES = 60;
+
+// Files younger than this aren't treated as orphans: an upload is stored
+// shortly before the product that uses it is saved
+const ORPHAN_MIN_AGE_MS = 60 * 60 * 1000;
+const ORPHAN_CHECK_BATCH = 500;
+
+let storage = null;
+
+// File extension from the image bytes, falling back to the uploaded file name
+function detectImageExtension(buffer, filename) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "jpg";
+  }
+  if (buffer.length >= 8 && buffer.toString("hex", 0, 8) === "89504e470d0a1a0a") {
+    return "png";
+  }
+  if (buffer.length >= 12 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+    return "webp";
+  }
+  const ext = path.extname(filename || "").slice(1).toLowerCase();
+  return /^[a-z0-9]{1,5}$/.test(ext) ? ext : "bin";
+}
+
+// Public id of a Cloudinary delivery URL: the path after /upload/ without the
+// version segment (v1234) and the extension
+function getCloudinaryPublicId(url) {
+  try {
+    const { pathname } = new URL(url);
+    const parts = pathname.split("/").filter(Boolean);
+    const uploadIndex = parts.indexOf("upload");
+    if (uploadIndex === -1 || uploadIndex === parts.length - 1) {
+      return null;
+    }
+    const rest = parts.slice(uploadIndex + 1);
+    if (/^v\d+$/.test(rest[0])) {
+      rest.shift();
+    }
+    rest[rest.length - 1] = rest[rest.length - 1].replace(/\.[^.]+$/, "");
+    return decodeURIComponent(rest.join("/"));
+  } catch (err) {
+    console.error("Error parsing Cloudinary public_id:", url, err.message);
+    return null;
+  }
+}
+
+// Download a file, refusing anything larger than maxBytes
+async function fetchFile(url, maxBytes) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(30000) });
+  if (!response.ok) {
+    throw Object.assign(new Error(`Could not read ${url} (HTTP ${response.status})`), { status: 400 });
+  }
+  if (Number(response.headers.get("content-length")) > maxBytes) {
+    throw Object.assign(new Error("File is too large"), { status: 413 });
+  }
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (buffer.length > maxBytes) {
+    throw Object.assign(new Error("File is too large"), { status: 413 });
+  }
+  return buffer;
+}
+
+function createCloudinaryStorage({ cloudName, apiKey, apiSecret, folder = "epolux/products" }) {
+  const cloudinary = require("cloudinary").v2;
+  cloudinary.config({ cloud_name: cloudName, api_key: apiKey, api_secret: apiSecret, secure: true });
+  const incomingFolder = `${folder}/incoming`;
+
+  return {
+    name: "cloudinary",
+
+    upload(buffer) {
+      return new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream({ folder }, (error, result) => {
+          if (error) {
+            return reject(error);
+          }
+          resolve({ key: result.public_id, url: result.secure_url });
+        });
+        stream.end(buffer);
+      });
+    },
+
+    async delete(url) {
+      if (!/^https?:\/\/res\.cloudinary\.com\//.test(String(url))) {
+        return false;
+      }
+      const publicId = getCloudinaryPublicId(url);
+      if (!publicId) {
+        return false;
+      }
+      const result = await cloudinary.uploader.destroy(publicId);
+      return result.result === "ok";
+    },
+
+    getPublicUrl(key) {
+      return cloudinary.url(key, { secure: true });
+    },
+
+    async list() {
+      const files = [];
+      let cursor;
+      do {
+        const page = await cloudinary.api.resources({
+          type: "upload",
+          prefix: `${folder}/`,
+          max_results: 500,
+          ...(cursor && { next_cursor: cursor })
+        });
+        for (const resource of page.resources) {
+          files.push({ url: resource.secure_url, createdAt: resource.created_at });
+        }
+        cursor = page.next_cursor;
+      } while (cursor);
+      return files;
+    },
+
+    read(url) {
+      return fetchFile(url, MAX_DIRECT_UPLOAD_BYTES);
+    },
+
+    // Signed parameters for an unauthenticated browser POST to Cloudinary's upload API
+    // (the signature is valid for an hour). The response's secure_url is the file URL.
+    createDirectUpload() {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const params = { folder: incomingFolder, timestamp };
+      return {
+        method: "POST",
+        url: `https://api.cloudinary.com/v1_1/${cloudName}/image/upload`,
+        fields: { ...params, api_key: apiKey, signature: cloudinary.utils.api_sign_request(params, apiSecret) },
+        expiresAt: new Date((timestamp + DIRECT_UPLOAD_MINUTES * 60) * 1000).toISOString()
+      };
+    },
+
+    isDirectUpload(url) {
+      const publicId = /^https:\/\/res\.cloudinary\.com\//.test(String(url)) ? getCloudinaryPublicId(url) : null;
+      return Boolean(publicId && publicId.startsWith(`${incomingFolder}/`) && String(url).includes(`/${cloudName}/`));
+    }
+  };
+}
+
+// Files live in `directory` and are served by Express under `urlPath`
+// (see server.js). Keys are generated file names, never client input.
+// Direct uploads go to PUT /api/uploads/<token> (see server.js), which streams the
+// body to disk; the token is signed with a per-process secret.
+function createLocalStorage({ directory, urlPath = "/uploads/products", baseUrl }) {
+  const root = path.resolve(directory);
+  const origin = baseUrl.replace(/\/+$/, "");
+  const prefix = `${origin}${urlPath}/`;
+  const isKey = key => /^[a-f0-9-]{36}\.[a-z0-9]{1,5}$/.test(key);
+  const isIncomingKey = key => /^incoming-[a-f0-9-]{36}$/.test(key);
+  const uploadSecret = crypto.randomBytes(32);
+  const sign = payload => crypto.createHmac("sha256", uploadSecret).update(payload).digest("base64url");
+
+  return {
+    name: "local",
+    directory: root,
+    urlPath,
+
+    async upload(buffer, { filename } = {}) {
+      await fs.mkdir(root, { recursive: true });
+      const key = `${crypto.randomUUID()}.${detectImageExtension(buffer, filename)}`;
+      await fs.writeFile(path.join(root, key), buffer);
+      return { key, url: `${prefix}${key}` };
+    },
+
+    async delete(url) {
+      const text = String(url);
+      const key = text.startsWith(prefix) ? text.slice(prefix.length) : null;
+      if (!key || !(isKey(key) || isIncomingKey(key))) {
+        return false;
+      }
+      try {
+        await fs.unlink(path.join(root, key));
+        return true;
+      } catch (err) {
+        if (err.code === "ENOENT") {
+          return false;
+        }
+        throw err;
+      }
+    },
+
+    getPublicUrl(key) {
+      return `${prefix}${key}`;
+    },
+
+    async list() {
+      let names;
+      try {
+        names = await fs.readdir(root);
+      } catch (err) {
+        if (err.code === "ENOENT") {
+          return [];
+        }
+        throw err;
+      }
+      const files = [];
+      for (const key of names.filter(name => isKey(name) || isIncomingKey(name))) {
+        const stats = await fs.stat(path.join(root, key));
+        files.push({ url: `${prefix}${key}`, createdAt: stats.mtime.toISOString() });
+      }
+      return files;
+    },
+
+    async read(url) {
+      const text = String(url);
+      const key = text.startsWith(prefix) ? text.slice(prefix.length) : null;
+      if (!key || !(isKey(key) || isIncomingKey(key))) {
+        throw Object.assign(new Error(`Not a stored file: ${url}`), { status: 400 });
+      }
+      return fs.readFile(path.join(root, key));
+    },
+
+    createDirectUpload() {
+      const expires = Date.now() + DIRECT_UPLOAD_MINUTES * 60 * 1000;
+      const payload = `incoming-${crypto.randomUUID()}.${expires}`;
+      return {
+        method: "PUT",
+        url: `${origin}/api/uploads/${payload}.${sign(payload)}`,
+        expiresAt: new Date(expires).toISOString()
+      };
+    },
+
+    isDirectUpload(url) {
+      const text = String(url);
+      return text.startsWith(prefix) && isIncomingKey(text.slice(prefix.length));
+    },
+
+    // Write the body of a direct upload to disk without buffering it. Returns { url }.
+    async receiveDirectUpload(token, stream) {
+      const match = /^(incoming-[a-f0-9-]{36})\.(\d+)\.([\w-]+)$/.exec(String(token));
+      const valid = match && sign(`${match[1]}.${match[2]}`) === match[3] && Number(match[2]) > Date.now();
+      if (!valid) {
+        throw Object.assign(new Error("Upload link is invalid or expired"), { status: 403 });
+      }
+      const key = match[1];
+      const file = path.join(root, key);
+      try {
+        await fs.access(file);
+        throw Object.assign(new Error("Upload link was already used"), { status: 409 });
+      } catch (err) {
+        if (err.code !== "ENOENT") {
+          throw err;
+        }
+      }
+
+      await fs.mkdir(root, { recursive: true });
+      await new Promise((resolve, reject) => {
+        const out = createWriteStream(file);
+        let size = 0;
+        stream.on("data", chunk => {
+          size += chunk.length;
+          if (size > MAX_DIRECT_UPLOAD_BYTES) {
+            stream.unpipe(out);
+            out.destroy();
+            reject(Object.assign(new Error("File is too large"), { status: 413 }));
+          }
+        });
+        stream.on("error", reject);
+        out.on("error", reject);
+        out.on("finish", resolve);
+        stream.pipe(out);
+      }).catch(async err => {
+        await fs.unlink(file).catch(() => {});
+        throw err;
+      });
+      return { url: `${prefix}${key}` };
+    }
+  };
+}
+
+// STORAGE_DRIVER picks the driver; without it Cloudinary is used when configured
+// and the local disk otherwise. PUBLIC_BASE_URL is where this server is reachable.
+function getStorage() {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local");
+    if (driver === "cloudinary") {
+      storage = createCloudinaryStorage({
+        cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+        apiKey: process.env.CLOUDINARY_API_KEY,
+        apiSecret: process.env.CLOUDINARY_API_SECRET,
+        folder: process.env.CLOUDINARY_FOLDER || undefined
+      });
+    } else {
+      console.warn("⚠️ Using local image storage - uploads are kept on this machine only");
+      storage = createLocalStorage({
+        directory: process.env.UPLOADS_DIR || path.join(__dirname, "uploads", "products"),
+        baseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`
+      });
+    }
+  }
+  return storage;
+}
+
+// Swap the storage driver (e.g. for tests)
+function setStorage(driver) {
+  storage = driver;
+}
+
+// Delete stored files (failures are logged and skipped). Returns the URLs deleted.
+async function deleteFiles(urls) {
+  const deleted = [];
+  for (const url of urls) {
+    try {
+      if (await getStorage().delete(url)) {
+        deleted.push(url);
+        console.log("🗑️ Deleted image:", url);
+      }
+    } catch (err) {
+      console.error("Error deleting image:", url, err);
+    }
+  }
+  return deleted;
+}
+
+// Stored files that no product (trashed ones included) or revision refers to.
+// Returns { scanned, orphans: [{ url, createdAt }] }.
+async function findOrphanedFiles({ minAgeMs = ORPHAN_MIN_AGE_MS } = {}) {
+  const files = await getStorage().list();
+  const cutoff = Date.now() - minAgeMs;
+  const candidates = files.filter(file => !file.createdAt || Date.parse(file.createdAt) <= cutoff);
+
+  const orphans = [];
+  for (let i = 0; i < candidates.length; i += ORPHAN_CHECK_BATCH) {
+    const batch = candidates.slice(i, i + ORPHAN_CHECK_BATCH);
+    const unreferenced = new Set(await findUnreferencedImages(batch.map(file => file.url)));
+    orphans.push(...batch.filter(file => unreferenced.has(file.url)));
+  }
+  return { scanned: files.length, orphans };
+}
+
+module.exports = {
+  getCloudinaryPublicId,
+  createCloudinaryStorage,
+  createLocalStorage,
+  getStorage,
+  setStorage,
+  deleteFiles,
+  findOrphanedFiles
+};
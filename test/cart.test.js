@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeModule } = require("./fakeModule");
+
+const products = new Map();
+fakeModule("../db", {
+  getProductById: async id => products.get(id) || null,
+  isProductPublic: product => product.status === "published"
+});
+const { priceCart, MAX_LINE_QUANTITY } = require("../cart");
+
+function addProduct(product) {
+  products.set(String(product.id), {
+    status: "published",
+    translations: { en: { name: `Product ${product.id}` }, sl: { name: `Izdelek ${product.id}` } },
+    ...product
+  });
+}
+
+addProduct({ id: 1, price: 19.99, stock: 5, categories: ["c1"], weight: 1.2 });
+addProduct({ id: 2, price: 10, status: "draft" });
+addProduct({ id: 3, price: 10, currency: "usd" });
+addProduct({ id: 4, price: 0 });
+addProduct({
+  id: 5,
+  price: 30,
+  options: [{ name: "Size", values: ["S", "M"] }],
+  variants: [
+    { id: "s", sku: "TEE-S", options: { Size: "S" }, price: 25, stock: 0 },
+    { id: "m", sku: "TEE-M", options: { Size: "M" }, stock: 3 }
+  ]
+});
+
+test("prices lines from the stored product", async () => {
+  const { lines, errors } = await priceCart([{ id: 1, quantity: 2, unitAmount: 1 }], "sl");
+  assert.deepEqual(errors, []);
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].productId, 1);
+  assert.equal(lines[0].name, "Izdelek 1");
+  assert.equal(lines[0].unitAmount, 1999);
+  assert.equal(lines[0].quantity, 2);
+  assert.deepEqual(lines[0].categories, ["c1"]);
+});
+
+test("accepts productId and defaults the quantity to 1", async () => {
+  const { lines } = await priceCart([{ productId: "1" }], "en");
+  assert.equal(lines[0].quantity, 1);
+});
+
+test("rejects bad quantities, unknown and unavailable products", async () => {
+  const { lines, errors } = await priceCart([
+    { id: 1, quantity: 0 },
+    { id: 1, quantity: MAX_LINE_QUANTITY + 1 },
+    { id: 1, quantity: 1.5 },
+    { quantity: 1 },
+    { id: 99 },
+    { id: 2 },
+    { id: 3 },
+    { id: 4 }
+  ], "en");
+  assert.equal(lines.length, 0);
+  assert.deepEqual(errors.map(e => e.index), [0, 1, 2, 3, 4, 5, 6, 7]);
+  assert.equal(errors[4].error, "Unknown product");
+  assert.equal(errors[5].error, "Product is not available");
+  assert.match(errors[6].error, /priced in USD/);
+  assert.equal(errors[7].error, "Product has no valid price");
+});
+
+test("rejects carts asking for more than is in stock", async () => {
+  const { errors } = await priceCart([{ id: 1, quantity: 6 }], "en");
+  assert.equal(errors[0].error, "Only 5 of Product 1 left in stock");
+});
+
+test("needs a known variant when the product has variants", async () => {
+  const { errors } = await priceCart([{ id: 5 }, { id: 5, variantId: "xl" }], "en");
+  assert.equal(errors[0].error, "A variant must be selected");
+  assert.equal(errors[1].error, "Unknown variant xl");
+});
+
+test("uses the variant price, stock and label", async () => {
+  const { lines, errors } = await priceCart([{ id: 5, variantId: "s" }, { id: 5, variantId: "m", quantity: 3 }], "en");
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].error, "Product 5 (S) is out of stock");
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].variantId, "m");
+  assert.equal(lines[0].sku, "TEE-M");
+  assert.equal(lines[0].name, "Product 5 (M)");
+  assert.equal(lines[0].unitAmount, 3000);
+  assert.deepEqual(lines[0].options, { Size: "M" });
+});
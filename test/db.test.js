@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongodb = require("mongodb");
+const { fakeModule } = require("./fakeModule");
+
+// Values at a dotted path, descending into arrays the way MongoDB resolves paths
+function valuesAt(doc, path) {
+  let values = [doc];
+  for (const key of path.split(".")) {
+    values = values
+      .flatMap(value => (Array.isArray(value) ? value : [value]))
+      .filter(value => value && typeof value === "object")
+      .map(value => value[key])
+      .filter(value => value !== undefined);
+  }
+  return values.flatMap(value => (Array.isArray(value) ? value : [value]));
+}
+
+// Enough of MongoDB's query language for the queries under test ($or, $in, equality)
+function matches(doc, query) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === "$or") {
+      return condition.some(branch => matches(doc, branch));
+    }
+    const values = valuesAt(doc, key);
+    if (condition && Array.isArray(condition.$in)) {
+      return values.some(value => condition.$in.includes(value));
+    }
+    return values.includes(condition);
+  });
+}
+
+// In-memory stand-in for the driver: collections of plain documents
+const collections = new Map();
+function getCollection(name) {
+  if (!collections.has(name)) {
+    collections.set(name, []);
+  }
+  const docs = collections.get(name);
+  return {
+    createIndex: async () => "index",
+    find: query => ({ toArray: async () => docs.filter(doc => matches(doc, query)) })
+  };
+}
+class FakeMongoClient {
+  async connect() {}
+  db() {
+    return { admin: () => ({ ping: async () => ({ ok: 1 }) }), collection: getCollection };
+  }
+}
+
+process.env.MONGODB_URI = "mongodb://fake";
+fakeModule("mongodb", { ...mongodb, MongoClient: FakeMongoClient });
+const { findUnreferencedImages } = require("../db");
+
+const url = name => `https://cdn.example.com/${name}`;
+const image = {
+  url: url("main.jpg"),
+  variants: [{ url: url("main-640.avif") }, { url: url("main-640.webp") }]
+};
+
+test.before(() => {
+  collections.set("products", [
+    { id: "1", images: [url("plain.jpg"), image] }
+  ]);
+  collections.set("productRevisions", [
+    { productId: "2", snapshot: { images: [{ url: url("old.jpg"), variants: [{ url: url("old-640.webp") }] }] } }
+  ]);
+});
+
+test("keeps files products refer to, as plain URLs or image objects", async () => {
+  const unreferenced = await findUnreferencedImages([url("plain.jpg"), url("main.jpg"), url("stale.jpg")]);
+  assert.deepEqual(unreferenced, [url("stale.jpg")]);
+});
+
+test("keeps variant files checked without their main file", async () => {
+  const unreferenced = await findUnreferencedImages([url("main-640.webp"), url("main-640.avif"), url("main-1280.webp")]);
+  assert.deepEqual(unreferenced, [url("main-1280.webp")]);
+});
+
+test("keeps files only a revision refers to", async () => {
+  assert.deepEqual(await findUnreferencedImages([url("old.jpg"), url("gone.jpg")]), [url("gone.jpg")]);
+  assert.deepEqual(await findUnreferencedImages([url("old-640.webp"), url("gone.webp")]), [url("gone.webp")]);
+});
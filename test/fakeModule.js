@@ -0,0 +1,9 @@
+// Replace a repo module with a stand-in before the code under test requires it
+// (used for ./db, so tests run without MongoDB)
+function fakeModule(modulePath, exports) {
+  const filename = require.resolve(modulePath);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+  return exports;
+}
+
+module.exports = { fakeModule };
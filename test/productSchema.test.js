@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validateProduct } = require("../productSchema");
+
+function product(fields = {}) {
+  return {
+    translations: { en: { name: "Oak table", description: "Solid oak" } },
+    specs: [],
+    images: ["https://cdn.example.com/table.jpg"],
+    price: 199,
+    ...fields
+  };
+}
+
+function paths(errors) {
+  return errors.map(error => error.path);
+}
+
+test("accepts a minimal product", () => {
+  assert.deepEqual(validateProduct(product()), []);
+});
+
+test("accepts image objects next to plain URLs", () => {
+  const images = [
+    "https://cdn.example.com/a.jpg",
+    { url: "https://cdn.example.com/b.jpg", width: 800, height: 600, alt: { en: "Side view" }, variants: [] }
+  ];
+  assert.deepEqual(validateProduct(product({ images })), []);
+});
+
+test("reports fields by path", () => {
+  const errors = validateProduct(product({
+    translations: { en: { name: "" }, xx: { name: "?" } },
+    specs: [{ label: "Wood" }],
+    images: [],
+    price: -1,
+    status: "hidden"
+  }));
+  assert.deepEqual(paths(errors).sort(), [
+    "images",
+    "price",
+    "specs[0].value",
+    "status",
+    "translations.en.description",
+    "translations.en.name",
+    "translations.xx"
+  ]);
+});
+
+test("rejects unknown alt text languages", () => {
+  const errors = validateProduct(product({ images: [{ url: "https://cdn.example.com/a.jpg", alt: { xx: "?" } }] }));
+  assert.deepEqual(paths(errors), ["images[0].alt.xx"]);
+});
+
+const options = [{ name: "Size", values: ["S", "M"] }, { name: "Color", values: ["Red", "Blue"] }];
+
+test("accepts variants covering every option axis", () => {
+  const variants = [
+    { id: "s-red", sku: "T-S-R", options: { Size: "S", Color: "Red" }, images: ["https://cdn.example.com/table.jpg"] },
+    { id: "m-red", sku: "T-M-R", options: { Size: "M", Color: "Red" }, price: 210, stock: 4 }
+  ];
+  assert.deepEqual(validateProduct(product({ options, variants })), []);
+});
+
+test("matches variant images against image objects", () => {
+  const images = [{ url: "https://cdn.example.com/a.jpg" }];
+  const variants = [{ id: "a", images: ["https://cdn.example.com/a.jpg", "https://cdn.example.com/b.jpg"] }];
+  assert.deepEqual(paths(validateProduct(product({ images, variants }))), ["variants[0].images[1]"]);
+});
+
+test("rejects duplicate and incomplete variants", () => {
+  const variants = [
+    { id: "a", sku: "T-1", options: { Size: "S", Color: "Red" } },
+    { id: "a", sku: "T-1", options: { Size: "S", Color: "Red" } },
+    { id: "b", options: { Size: "XL" } },
+    { id: "c", options: { Size: "M", Color: "Red", Fit: "Slim" } }
+  ];
+  const errors = validateProduct(product({ options, variants }));
+  assert.deepEqual(paths(errors), [
+    "variants[1].id",
+    "variants[1].sku",
+    "variants[1].options",
+    "variants[2].options.Size",
+    "variants[2].options.Color",
+    "variants[3].options.Fit"
+  ]);
+  assert.equal(errors[0].message, "duplicates variants[0]");
+  assert.equal(errors[3].message, "must be one of: S, M");
+});
+
+test("rejects duplicate options and option values", () => {
+  const errors = validateProduct(product({ options: [{ name: "Size", values: ["S", "S"] }, { name: "size", values: ["M"] }] }));
+  assert.deepEqual(paths(errors), ["options[0].values", "options[1].name"]);
+});
+
+test("variant options need product options", () => {
+  const errors = validateProduct(product({ variants: [{ id: "a", options: { Size: "S" } }] }));
+  assert.deepEqual(paths(errors), ["variants[0].options"]);
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { INVALID_PROMOTION_CODE, parsePromotionInput, evaluatePromotion } = require("../promotions");
+
+const lines = [
+  { productId: 1, categories: ["shoes"], unitAmount: 2000, quantity: 2 },
+  { productId: 2, categories: [], unitAmount: 500, quantity: 1 }
+];
+
+function promotion(fields) {
+  const { promotion: parsed, errors } = parsePromotionInput(fields);
+  assert.equal(errors, undefined);
+  return { ...parsed, usedCount: 0 };
+}
+
+test("parsePromotionInput normalizes codes and amounts", () => {
+  const parsed = promotion({ code: " summer-10 ", type: "fixed", value: "5,50", minOrderValue: "20" });
+  assert.equal(parsed.code, "SUMMER-10");
+  assert.equal(parsed.value, 5.5);
+  assert.equal(parsed.minOrderValue, 20);
+  assert.equal(parsed.active, true);
+  assert.deepEqual(parsed.productIds, []);
+});
+
+test("parsePromotionInput reports every invalid field", () => {
+  const { errors } = parsePromotionInput({
+    code: "x",
+    type: "percentage",
+    value: 150,
+    startsAt: "2026-02-01",
+    endsAt: "2026-01-01",
+    usageLimit: 0
+  });
+  assert.deepEqual(errors.map(e => e.path), ["code", "value", "endsAt", "usageLimit"]);
+});
+
+test("parsePromotionInput merges partial updates over the stored promotion", () => {
+  const stored = promotion({ code: "FIVE", type: "fixed", value: 5 });
+  const { promotion: updated } = parsePromotionInput({ active: false }, stored);
+  assert.equal(updated.code, "FIVE");
+  assert.equal(updated.value, 5);
+  assert.equal(updated.active, false);
+});
+
+test("percentage discounts round to cents", () => {
+  const result = evaluatePromotion(promotion({ code: "TEN", type: "percentage", value: 12.5 }), lines);
+  assert.deepEqual(result, { discount: 563, freeShipping: false, subtotal: 4500, eligibleSubtotal: 4500 });
+});
+
+test("fixed discounts never exceed the eligible lines", () => {
+  const result = evaluatePromotion(promotion({ code: "BIG", type: "fixed", value: 100, productIds: [2] }), lines);
+  assert.equal(result.discount, 500);
+  assert.equal(result.eligibleSubtotal, 500);
+});
+
+test("free shipping has no discount", () => {
+  const result = evaluatePromotion(promotion({ code: "SHIP", type: "free_shipping" }), lines);
+  assert.equal(result.discount, 0);
+  assert.equal(result.freeShipping, true);
+});
+
+test("category targeting uses the expanded category ids", () => {
+  const targeted = promotion({ code: "KIDS", type: "percentage", value: 10, categoryIds: ["footwear"] });
+  assert.match(evaluatePromotion(targeted, lines).error, /doesn't apply/);
+  const result = evaluatePromotion(targeted, lines, { categoryIds: ["footwear", "shoes"] });
+  assert.equal(result.eligibleSubtotal, 4000);
+  assert.equal(result.discount, 400);
+});
+
+test("minimum order value is checked against the whole cart", () => {
+  const result = evaluatePromotion(promotion({ code: "MIN", type: "fixed", value: 5, minOrderValue: 50 }), lines);
+  assert.match(result.error, /at least 50\.00/);
+});
+
+test("inactive, not started, expired and used-up codes look the same", () => {
+  const now = new Date("2026-06-01T00:00:00Z");
+  const base = { code: "LIMIT", type: "fixed", value: 5 };
+  const unavailable = [
+    { ...promotion(base), active: false },
+    promotion({ ...base, startsAt: "2026-07-01T00:00:00Z" }),
+    promotion({ ...base, endsAt: "2026-05-01T00:00:00Z" }),
+    { ...promotion({ ...base, usageLimit: 2 }), usedCount: 2 }
+  ];
+  for (const candidate of unavailable) {
+    assert.deepEqual(evaluatePromotion(candidate, lines, { now }), { error: INVALID_PROMOTION_CODE });
+  }
+  const open = promotion({ ...base, startsAt: "2026-05-01T00:00:00Z", endsAt: "2026-07-01T00:00:00Z", usageLimit: 2 });
+  assert.equal(evaluatePromotion({ ...open, usedCount: 1 }, lines, { now }).discount, 500);
+});
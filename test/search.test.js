@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { tokenize, createSearchIndex, searchIndex } = require("../search");
+
+test("tokenize keeps letters of any script with offsets in the original text", () => {
+  const text = "Straße — Чаша 2x";
+  const tokens = tokenize(text);
+  assert.deepEqual(tokens.map(t => t.term), ["strasse", "чаша", "2x"]);
+  assert.deepEqual(tokens.map(t => text.slice(t.start, t.end)), ["Straße", "Чаша", "2x"]);
+});
+
+test("tokenize handles decomposed accents", () => {
+  assert.deepEqual(tokenize("Čebela").map(t => t.term), ["cebela"]);
+});
+
+const products = [
+  {
+    id: 1,
+    translations: {
+      en: { name: "Glass cup", description: "Hand blown" },
+      sr: { name: "Стаклена чаша", description: "Ручно дувано стакло" }
+    },
+    specs: [{ label: "Material", value: "Glass" }]
+  },
+  {
+    id: 2,
+    translations: { en: { name: "Oak table", description: "Solid oak with a glass top" } },
+    specs: []
+  }
+];
+const index = createSearchIndex(products);
+
+test("finds Serbian Cyrillic text", () => {
+  const results = searchIndex(index, "чаша", { lang: "sr" });
+  assert.deepEqual(results.map(r => r.product.id), [1]);
+  assert.equal(results[0].highlights.name, "Стаклена <mark>чаша</mark>");
+});
+
+test("ranks name matches first and tolerates typos", () => {
+  assert.deepEqual(searchIndex(index, "glass", { lang: "en" }).map(r => r.product.id), [1, 2]);
+  assert.deepEqual(searchIndex(index, "tabel", { lang: "en" }).map(r => r.product.id), [2]);
+});
+
+test("every query term has to match", () => {
+  assert.deepEqual(searchIndex(index, "glass oak", { lang: "en" }).map(r => r.product.id), [2]);
+});
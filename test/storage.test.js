@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeModule } = require("./fakeModule");
+
+// URLs the fake database reports as used by a product or revision
+let referenced = new Set();
+const lookups = [];
+fakeModule("../db", {
+  findUnreferencedImages: async urls => {
+    lookups.push(urls);
+    return urls.filter(url => !referenced.has(url));
+  }
+});
+const { setStorage, findOrphanedFiles } = require("../storage");
+
+const old = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+const url = name => `https://cdn.example.com/${name}`;
+
+function useFiles(files) {
+  setStorage({ list: async () => files });
+}
+
+test("lists files no product refers to", async () => {
+  referenced = new Set([url("kept.jpg")]);
+  useFiles([{ url: url("kept.jpg"), createdAt: old }, { url: url("stale.jpg"), createdAt: old }]);
+  const { scanned, orphans } = await findOrphanedFiles();
+  assert.equal(scanned, 2);
+  assert.deepEqual(orphans.map(file => file.url), [url("stale.jpg")]);
+});
+
+test("skips files younger than the minimum age", async () => {
+  referenced = new Set();
+  useFiles([{ url: url("new.jpg"), createdAt: new Date().toISOString() }, { url: url("old.jpg"), createdAt: old }]);
+  const { orphans } = await findOrphanedFiles();
+  assert.deepEqual(orphans.map(file => file.url), [url("old.jpg")]);
+});
+
+test("checks large stores in batches", async () => {
+  referenced = new Set([url("file-700.jpg")]);
+  useFiles(Array.from({ length: 1200 }, (_, i) => ({ url: url(`file-${i}.jpg`), createdAt: old })));
+  lookups.length = 0;
+  const { scanned, orphans } = await findOrphanedFiles();
+  assert.equal(scanned, 1200);
+  assert.equal(orphans.length, 1199);
+  assert.ok(lookups.length > 1);
+  assert.equal(lookups.flat().length, 1200);
+});
@@ -0,0 +1,15 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { foldText, slugify } = require("../text");
+
+test("foldText strips diacritics and folds special letters", () => {
+  assert.equal(foldText("Čebela Äpfel Đak"), "cebela apfel dak");
+  assert.equal(foldText("Straße"), "strasse");
+  assert.equal(foldText("Smørrebrød Łódź Œuvre"), "smorrebrod lodz oeuvre");
+});
+
+test("slugify builds URL-safe slugs", () => {
+  assert.equal(slugify("Hrastov stol Čebela"), "hrastov-stol-cebela");
+  assert.equal(slugify("Große Tasse"), "grosse-tasse");
+  assert.equal(slugify("2024"), "product-2024");
+});
@@ -0,0 +1,34 @@
+// Text Helpers shared by search and the data layer (slugs)
+
+// Letters that don't decompose into a base letter and accents
+const LETTER_FOLDS = { "ß": "ss", "đ": "d", "ø": "o", "ł": "l", "æ": "ae", "œ": "oe", "þ": "th", "ı": "i" };
+
+// Lower-case and strip diacritics (č → c, ä → a, đ → d, ß → ss). Letters of
+// other scripts are lower-cased and kept.
+function foldText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .replace(/[ßđøłæœþı]/g, ch => LETTER_FOLDS[ch]);
+}
+
+const SLUG_MAX_LENGTH = 80;
+
+// "Hrastov stol Čebela" → "hrastov-stol-cebela". Slugs never look like a numeric
+// id or an ObjectId, so /api/products/:id can tell them apart.
+function slugify(text) {
+  const slug = foldText(text)
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, SLUG_MAX_LENGTH)
+    .replace(/^-+|-+$/g, "");
+  if (/^\d+$/.test(slug) || /^[a-f0-9]{24}$/.test(slug)) {
+    return `product-${slug}`;
+  }
+  return slug;
+}
+
+module.exports = {
+  foldText,
+  slugify
+};
@@ -0,0 +1,230 @@
+// Machine Translation Providers (MyMemory, or a local stub for tests and offline development)
+//
+// Results are cached in Mongo per provider, language pair and text, so repeated
+// requests (and re-running a bulk translation) don't hit the provider again.
+require("dotenv").config();
+const crypto = require("crypto");
+const { SUPPORTED_LANGUAGES } = require("./languages");
+const { getCachedTranslation, saveCachedTranslation } = require("./db");
+
+const TRANSLATABLE_FIELDS = ["name", "description"];
+
+// MyMemory rejects queries over 500 bytes, so longer texts are sent in pieces
+const MYMEMORY_MAX_BYTES = 450;
+const MYMEMORY_TIMEOUT_MS = 10000;
+
+let translationClient = null;
+
+// Split text into pieces of at most maxBytes, preferring paragraph, then sentence,
+// then word boundaries. Joining the pieces gives back the original text.
+function splitText(text, maxBytes) {
+  if (Buffer.byteLength(text) <= maxBytes) {
+    return [text];
+  }
+  for (const separator of [/(\n+)/, /(?<=[.!?])(\s+)/, /(\s+)/]) {
+    const parts = text.split(separator);
+    if (parts.length === 1) {
+      continue;
+    }
+    const pieces = [];
+    let current = "";
+    for (const part of parts) {
+      if (current && Buffer.byteLength(current + part) > maxBytes) {
+        pieces.push(current);
+        current = "";
+      }
+      current += part;
+    }
+    pieces.push(current);
+    return pieces.flatMap(piece => (Buffer.byteLength(piece) > maxBytes ? splitText(piece, maxBytes) : [piece]));
+  }
+  // One very long word: cut by characters
+  const pieces = [];
+  let current = "";
+  for (const ch of text) {
+    if (Buffer.byteLength(current + ch) > maxBytes) {
+      pieces.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  pieces.push(current);
+  return pieces;
+}
+
+function createMyMemoryClient({ email } = {}) {
+  async function translatePiece(text, from, to) {
+    const params = new URLSearchParams({ q: text, langpair: `${from}|${to}` });
+    if (email) {
+      params.set("de", email);
+    }
+
+    let response;
+    try {
+      response = await fetch(`https://api.mymemory.translated.net/get?${params}`, {
+        signal: AbortSignal.timeout(MYMEMORY_TIMEOUT_MS)
+      });
+    } catch (err) {
+      throw Object.assign(new Error(`Translation service unreachable: ${err.message}`), { status: 502 });
+    }
+    const data = await response.json().catch(() => null);
+
+    // MyMemory reports quota problems with HTTP 429 or responseStatus 429
+    if (response.status === 429 || (data && Number(data.responseStatus) === 429)) {
+      throw Object.assign(new Error("Translation quota exceeded, try again later"), { status: 503 });
+    }
+    if (!response.ok || !data || Number(data.responseStatus) !== 200 || !data.responseData || !data.responseData.translatedText) {
+      const details = data && data.responseDetails ? `: ${data.responseDetails}` : "";
+      throw Object.assign(new Error(`Translation failed${details}`), { status: 502 });
+    }
+    return data.responseData.translatedText;
+  }
+
+  return {
+    name: "mymemory",
+
+    async translate(text, from, to) {
+      const pieces = splitText(text, MYMEMORY_MAX_BYTES);
+      const translated = [];
+      for (const piece of pieces) {
+        // Keep whitespace-only pieces (paragraph breaks) as they are
+        translated.push(piece.trim() ? await translatePiece(piece, from, to) : piece);
+      }
+      return translated.join("");
+    }
+  };
+}
+
+// Offline stand-in: tags the text with the target language (no network calls)
+function createStubTranslationClient() {
+  return {
+    name: "stub",
+
+    async translate(text, from, to) {
+      return `[${to}] ${text}`;
+    }
+  };
+}
+
+// TRANSLATION_PROVIDER=stub forces the offline client; MyMemory is the default
+function getTranslationClient() {
+  if (!translationClient) {
+    const provider = process.env.TRANSLATION_PROVIDER || "mymemory";
+    if (provider === "stub") {
+      console.warn("⚠️ Using stub translation provider - translations are not real");
+      translationClient = createStubTranslationClient();
+    } else {
+      translationClient = createMyMemoryClient({ email: process.env.MYMEMORY_EMAIL });
+    }
+  }
+  return translationClient;
+}
+
+// Swap the translation client (e.g. for tests)
+function setTranslationClient(client) {
+  translationClient = client;
+}
+
+function getCacheKey(provider, from, to, text) {
+  const hash = crypto.createHash("sha256").update(text).digest("hex");
+  return `${provider}:${from}:${to}:${hash}`;
+}
+
+// Translate text between two supported languages. Returns { translatedText, cached, provider }.
+// Provider errors carry a status (502 unreachable / failed, 503 quota).
+async function translateText(text, from, to) {
+  if (from === to) {
+    return { translatedText: text, cached: false, provider: null };
+  }
+  const client = getTranslationClient();
+  const key = getCacheKey(client.name, from, to, text);
+
+  try {
+    const cachedText = await getCachedTranslation(key);
+    if (cachedText !== null) {
+      return { translatedText: cachedText, cached: true, provider: client.name };
+    }
+  } catch (err) {
+    console.error("⚠️ Translation cache lookup failed:", err.message);
+  }
+
+  const translatedText = await client.translate(text, from, to);
+  try {
+    await saveCachedTranslation({ key, provider: client.name, from, to, translatedText });
+  } catch (err) {
+    console.error("⚠️ Failed to cache translation:", err.message);
+  }
+  return { translatedText, cached: false, provider: client.name };
+}
+
+// Provenance of translated fields: translationMeta[lang][field] is
+// { source: "human", by, at } or { source: "machine", provider, from, at }.
+// Fields without an entry were written before provenance was tracked and count as human.
+
+// Mark every translation field that differs from the previous translations as a human edit
+function markHumanTranslations(previousTranslations, translations, previousMeta, actor) {
+  const meta = {};
+  const at = new Date().toISOString();
+  for (const [lang, translation] of Object.entries(translations || {})) {
+    const before = (previousTranslations || {})[lang] || {};
+    const beforeMeta = (previousMeta || {})[lang] || {};
+    for (const field of TRANSLATABLE_FIELDS) {
+      if (!translation || !translation[field]) {
+        continue;
+      }
+      const entry = translation[field] === before[field] && beforeMeta[field]
+        ? beforeMeta[field]
+        : { source: "human", by: actor || null, at };
+      meta[lang] = { ...meta[lang], [field]: entry };
+    }
+  }
+  return meta;
+}
+
+// Fill missing translation fields from the source language. Machine-written fields
+// are only redone with `refresh`; human ones are never touched. Returns
+// { translations, translationMeta, filled: [{ lang, field }] }.
+async function fillMissingTranslations(product, { from, languages = SUPPORTED_LANGUAGES, refresh = false } = {}) {
+  const translations = JSON.parse(JSON.stringify(product.translations || {}));
+  const translationMeta = JSON.parse(JSON.stringify(product.translationMeta || {}));
+  const source = translations[from] || {};
+  const filled = [];
+
+  for (const lang of languages) {
+    if (lang === from) {
+      continue;
+    }
+    for (const field of TRANSLATABLE_FIELDS) {
+      if (!source[field]) {
+        continue;
+      }
+      const current = (translations[lang] || {})[field];
+      const fieldMeta = (translationMeta[lang] || {})[field];
+      const isMachine = fieldMeta && fieldMeta.source === "machine";
+      if (current && !(refresh && isMachine)) {
+        continue;
+      }
+
+      const { translatedText, provider } = await translateText(source[field], from, lang);
+      translations[lang] = { ...translations[lang], [field]: translatedText };
+      translationMeta[lang] = {
+        ...translationMeta[lang],
+        [field]: { source: "machine", provider, from, at: new Date().toISOString() }
+      };
+      filled.push({ lang, field });
+    }
+  }
+  return { translations, translationMeta, filled };
+}
+
+module.exports = {
+  TRANSLATABLE_FIELDS,
+  splitText,
+  createMyMemoryClient,
+  createStubTranslationClient,
+  getTranslationClient,
+  setTranslationClient,
+  translateText,
+  markHumanTranslations,
+  fillMissingTranslations
+};